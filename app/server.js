@@ -3,16 +3,11 @@ import multer from 'multer';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import neo4j from 'neo4j-driver';
 import { DocuGraphRAG } from '../src/index.js';
-import * as pdfjsLib from 'pdfjs-dist';
-
-// Initialize PDF.js worker
-pdfjsLib.GlobalWorkerOptions.workerSrc = path.resolve(
-    path.dirname(fileURLToPath(import.meta.url)),
-    'node_modules/pdfjs-dist/build/pdf.worker.mjs'
-);
-
+import { normalizeOntology } from '../src/ontology.js';
+import { normalizeMetadata } from '../src/filters.js';
+import { ANSWER_STYLES } from '../src/prompts.js';
+import { assertNamespace } from '../src/namespaces.js';
 
 // Get the directory name of the current module
 const __filename = fileURLToPath(import.meta.url);
@@ -30,11 +25,28 @@ const app = express();
 app.use(express.json());  // Add this BEFORE routes
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Initialize Neo4j driver
-const driver = neo4j.driver(
-    process.env.NEO4J_URL,
-    neo4j.auth.basic(process.env.NEO4J_USER, process.env.NEO4J_PASSWORD)
-);
+// Namespaces the X-Namespace header may pick, from ALLOWED_NAMESPACES (comma-separated).
+// Unset, any valid name is accepted, which is only fit for local use.
+const allowedNamespaces = process.env.ALLOWED_NAMESPACES
+    ? new Set(process.env.ALLOWED_NAMESPACES.split(',').map(name => name.trim()).filter(Boolean))
+    : null;
+
+// Each request works in one workspace, picked by the X-Namespace header.
+// A real deployment should derive it from the authenticated user instead.
+app.use((req, res, next) => {
+    const namespace = req.get('X-Namespace') || 'default';
+    try {
+        assertNamespace(namespace);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    if (allowedNamespaces && !allowedNamespaces.has(namespace)) {
+        return res.status(403).json({ success: false, error: `Namespace ${namespace} is not allowed` });
+    }
+
+    req.docurag = docurag.withNamespace(namespace);
+    next();
+});
 
 // Initialize DocuGraphRAG with environment variables
 const docurag = new DocuGraphRAG({
@@ -45,11 +57,11 @@ const docurag = new DocuGraphRAG({
 const upload = multer({
     storage: multer.memoryStorage(),
     fileFilter: (req, file, cb) => {
-        // Accept PDF files only
-        if (file.mimetype === 'application/pdf') {
+        // Accept any format the library has a loader for
+        if (docurag.loaders.supports(file.mimetype, file.originalname)) {
             cb(null, true);
         } else {
-            cb(new Error('Only PDF files are allowed'));
+            cb(new Error(`Unsupported file type. Allowed: ${docurag.loaders.acceptedTypes.join(', ')}`));
         }
     },
     limits: {
@@ -57,40 +69,27 @@ const upload = multer({
     }
 });
 
-// Helper function to extract text from PDF
-async function extractTextFromPDF(buffer) {
-    // Convert Buffer to Uint8Array
-    const uint8Array = new Uint8Array(buffer);
-    const pdf = await pdfjsLib.getDocument({ data: uint8Array }).promise;
-    let fullText = '';
-
-    for (let i = 1; i <= pdf.numPages; i++) {
-        const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        const pageText = textContent.items.map(item => item.str).join(' ');
-        fullText += pageText + '\n';
-    }
-
-    return fullText;
-}
-
 // Get current document
+// ?filter= takes a JSON metadata filter, see src/filters.js
 app.get('/documents', async (req, res) => {
-    const session = driver.session();
+    let filter;
+    try {
+        filter = req.query.filter ? JSON.parse(req.query.filter) : undefined;
+    } catch (error) {
+        return res.status(400).json({ success: false, error: `Invalid filter JSON: ${error.message}` });
+    }
+
     try {
-        const result = await session.run(
-            `MATCH (d:Document) 
-             OPTIONAL MATCH (d)-[:HAS_CHUNK]->(c:DocumentChunk)
-             WITH d, count(c) as chunkCount
-             RETURN {
-                 id: d.documentId,
-                 fileName: d.fileName,
-                 uploadedAt: d.created,
-                 status: d.status,
-                 selected: true
-             } as document`
-        );
-        const documents = result.records.map(record => record.get('document'));
+        const documents = (await req.docurag.listDocuments({ filter })).map(d => ({
+            id: d.documentId,
+            fileName: d.fileName,
+            uploadedAt: d.created,
+            status: d.status,
+            version: d.version,
+            chunkCount: d.chunkCount,
+            metadata: d.metadata,
+            selected: true
+        }));
         res.json({
             success: true,
             documents: documents
@@ -101,18 +100,24 @@ app.get('/documents', async (req, res) => {
             success: false,
             error: 'Error fetching documents'
         });
-    } finally {
-        await session.close();
     }
 });
 
+// Supported upload formats, for the file picker
+app.get('/formats', (req, res) => {
+    res.json({
+        success: true,
+        accept: docurag.loaders.acceptedTypes
+    });
+});
+
 // Routes
-app.post('/upload', upload.single('pdf'), async (req, res) => {
+app.post('/upload', upload.single('file'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({
                 success: false,
-                error: 'No PDF file uploaded'
+                error: 'No file uploaded'
             });
         }
 
@@ -124,26 +129,88 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
             });
         }
 
+        let ontology;
+        let metadata;
+        try {
+            ontology = parseOntology(req.body.ontology);
+            metadata = parseMetadata(req.body.metadata);
+        } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+
         console.log('Handling file upload:', {
             fileName: req.file.originalname,
             fileSize: req.file.size,
             scenarioDescription
         });
 
-        // Extract text from PDF using pdfjs-dist
-        const fullText = await extractTextFromPDF(req.file.buffer);
         const fileName = req.file.originalname;
 
-        // Process the extracted text
-        const result = await docurag.processDocument(fullText, scenarioDescription, fileName);
+        // Ingestion runs in the background; poll GET /jobs/:id for progress
+        const job = req.docurag.ingestDocument(req.file.buffer, scenarioDescription, fileName, {
+            mimeType: req.file.mimetype,
+            ontology,
+            metadata
+        });
 
-        res.json({
+        // A duplicate upload reuses an existing document, so only its final id is sent
+        let documentId;
+        try {
+            documentId = await job.registered;
+        } catch (error) {
+            return res.status(500).json({ success: false, jobId: job.jobId, error: error.message });
+        }
+
+        const accepted = {
             success: true,
-            documentId: result.documentId,
-            name: fileName
+            jobId: job.jobId,
+            documentId,
+            name: fileName,
+            status: job.status
+        };
+
+        // Clients asking for an event stream get the progress events on this request instead.
+        // Disconnecting stops the stream, not the ingestion.
+        if (!(req.get('Accept') || '').includes('text/event-stream')) {
+            return res.status(202).json(accepted);
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.write(`event: job\ndata: ${JSON.stringify(accepted)}\n\n`);
+
+        let connected = true;
+        res.on('close', () => {
+            connected = false;
         });
+
+        for await (const event of job) {
+            if (!connected) {
+                return;
+            }
+            res.write(`event: progress\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+
+        const result = await job.done;
+        res.write(`event: result\ndata: ${JSON.stringify({
+            success: true,
+            jobId: result.jobId,
+            documentId: result.documentId,
+            name: fileName,
+            status: result.status,
+            chunkCount: result.total,
+            failedChunks: result.failed,
+            rejected: result.rejected?.length ?? 0
+        })}\n\n`);
+        res.write('data: [DONE]\n\n');
+        res.end();
     } catch (error) {
         console.error('Error handling document:', error);
+        if (res.headersSent) {
+            res.write(`data: ${JSON.stringify({ error: error.message || 'Failed to process document' })}\n\n`);
+            return res.end();
+        }
         res.status(500).json({
             success: false,
             error: error.message || 'Failed to process document'
@@ -151,11 +218,109 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
     }
 });
 
+// Ingestion jobs started by this server process
+app.get('/jobs', (req, res) => {
+    res.json({ success: true, jobs: req.docurag.listJobs() });
+});
+
+app.get('/jobs/:id', (req, res) => {
+    const job = req.docurag.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+});
+
+// Stored ingestion state, also available for documents from before a restart
+app.get('/documents/:id/status', async (req, res) => {
+    try {
+        const status = await req.docurag.getDocumentStatus(req.params.id);
+        if (!status) {
+            return res.status(404).json({ success: false, error: 'Document not found' });
+        }
+        res.json({ success: true, ...status });
+    } catch (error) {
+        console.error('Error fetching document status:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Replaces a document's content; only changed chunks are re-embedded and re-extracted
+app.put('/documents/:id', upload.single('file'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ success: false, error: 'No file uploaded' });
+    }
+
+    let ontology;
+    let metadata;
+    try {
+        ontology = parseOntology(req.body.ontology);
+        metadata = parseMetadata(req.body.metadata);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const job = req.docurag.ingestDocumentUpdate(req.params.id, req.file.buffer, {
+            mimeType: req.file.mimetype,
+            fileName: req.file.originalname,
+            analysisDescription: req.body.scenarioDescription || undefined,
+            ontology,
+            metadata
+        });
+        res.status(202).json({ success: true, jobId: job.jobId, documentId: job.documentId, status: job.status });
+    } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+    }
+});
+
+// Replaces a document's metadata without processing it again; body { metadata }, null removes it
+app.put('/documents/:id/metadata', async (req, res) => {
+    let metadata;
+    try {
+        metadata = normalizeMetadata(req.body.metadata);
+    } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+
+    try {
+        const found = await req.docurag.setDocumentMetadata(req.params.id, req.body.metadata);
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Document not found' });
+        }
+        res.json({ success: true, documentId: req.params.id, metadata: metadata?.metadata ?? null });
+    } catch (error) {
+        res.status(409).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/documents/:id/history', async (req, res) => {
+    try {
+        const history = await req.docurag.getDocumentHistory(req.params.id);
+        if (!history) {
+            return res.status(404).json({ success: false, error: 'Document not found' });
+        }
+        res.json({ success: true, ...history });
+    } catch (error) {
+        console.error('Error fetching document history:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Retries the unfinished and failed chunks of a document
+app.post('/documents/:id/resume', (req, res) => {
+    const job = req.docurag.resumeDocument(req.params.id);
+    res.status(202).json({ success: true, jobId: job.jobId, documentId: job.documentId, status: job.status });
+});
+
 app.post('/chat', async (req, res) => {
-    const { question, documentIds, vectorSearch, textSearch, graphSearch } = req.body;
+    const { question, documentIds, filter, vectorSearch, textSearch, graphSearch, mode, answerStyle, language } = req.body;
+    let { conversationId } = req.body;
     console.log('Chat request:', {
         question,
         documentIds,
+        filter,
+        mode,
         searchOptions: { vectorSearch, textSearch, graphSearch }
     });
 
@@ -163,32 +328,78 @@ app.post('/chat', async (req, res) => {
         return res.json({ success: false, error: 'Question is required' });
     }
 
-    if (!documentIds || !Array.isArray(documentIds) || documentIds.length === 0) {
+    if (mode !== undefined && !['auto', 'local', 'global', 'cypher'].includes(mode)) {
+        return res.json({ success: false, error: 'mode must be auto, local, global or cypher' });
+    }
+
+    // Presets only; custom styles and templates are set where the library is configured
+    if (answerStyle !== undefined && !Object.hasOwn(ANSWER_STYLES, answerStyle)) {
+        return res.json({ success: false, error: `answerStyle must be one of ${Object.keys(ANSWER_STYLES).join(', ')}` });
+    }
+
+    if (language !== undefined && typeof language !== 'string') {
+        return res.json({ success: false, error: 'language must be a string' });
+    }
+
+    // Global answers read the whole namespace unless documents are selected; a metadata filter
+    // can select documents instead
+    if (mode !== 'global' && !filter && (!documentIds || !Array.isArray(documentIds) || documentIds.length === 0)) {
         return res.json({ success: false, error: 'At least one document must be selected' });
     }
 
+    try {
+        if (conversationId && !await req.docurag.hasConversation(conversationId)) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+    } catch (error) {
+        console.error('Error looking up conversation:', error);
+        return res.status(500).json({ success: false, error: error.message });
+    }
+
     // Set headers for SSE
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
 
     try {
-        const stream = await docurag.chat(question, {
+        // Start a new conversation when the client has none yet
+        if (!conversationId) {
+            conversationId = await req.docurag.createConversation();
+        }
+        res.write(`event: conversation\ndata: ${JSON.stringify({ conversationId })}\n\n`);
+
+        const answer = await req.docurag.chat(question, {
+            conversationId,
+            mode,
             documentIds,
-            searchOptions: {
-                vectorSearch: vectorSearch ?? true,
-                textSearch: textSearch ?? true,
-                graphSearch: graphSearch ?? true
-            }
+            filter,
+            answerStyle,
+            language,
+            vectorSearch: vectorSearch ?? true,
+            textSearch: textSearch ?? true,
+            graphSearch: graphSearch ?? true
         });
 
+        // How the question was routed, in auto mode
+        if (answer.route) {
+            res.write(`event: route\ndata: ${JSON.stringify({ route: answer.route })}\n\n`);
+        }
+
+        // The Cypher query the answer is based on, in cypher mode
+        if (answer.query) {
+            res.write(`event: query\ndata: ${JSON.stringify({ query: answer.query })}\n\n`);
+        }
+
         // Handle each chunk from the stream
-        for await (const chunk of stream) {
+        for await (const chunk of answer.stream) {
             if (chunk.choices && chunk.choices[0]?.delta?.content) {
                 res.write(`data: ${JSON.stringify({ content: chunk.choices[0].delta.content })}\n\n`);
             }
         }
 
+        // Sources the answer cited, for rendering [n] citations
+        res.write(`event: sources\ndata: ${JSON.stringify({ sources: answer.citedSources() })}\n\n`);
+
         res.write('data: [DONE]\n\n');
         res.end();
     } catch (error) {
@@ -198,14 +409,75 @@ app.post('/chat', async (req, res) => {
     }
 });
 
+// Messages of a conversation, oldest first
+app.get('/conversations/:id/history', async (req, res) => {
+    try {
+        const messages = await req.docurag.getConversation(req.params.id);
+        if (!messages) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+        res.json({ success: true, conversationId: req.params.id, messages });
+    } catch (error) {
+        console.error('Error fetching conversation history:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Retrieval only: ranked chunks without generating an answer
+app.post('/search', async (req, res) => {
+    const { question, documentIds, filter, vectorSearch, textSearch, graphSearch, topK } = req.body;
+
+    if (!question) {
+        return res.status(400).json({ success: false, error: 'Question is required' });
+    }
+
+    if (!filter && (!documentIds || !Array.isArray(documentIds) || documentIds.length === 0)) {
+        return res.status(400).json({ success: false, error: 'At least one document must be selected' });
+    }
+
+    try {
+        const result = await req.docurag.search(question, {
+            documentIds,
+            filter,
+            vectorSearch: vectorSearch ?? true,
+            textSearch: textSearch ?? true,
+            graphSearch: graphSearch ?? true,
+            topK
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error handling search:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to search documents'
+        });
+    }
+});
+
+// Clusters the namespace's entities into communities and summarizes them for global chat
+app.post('/communities/build', async (req, res) => {
+    try {
+        const result = await req.docurag.buildCommunities();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error building communities:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to build communities'
+        });
+    }
+});
+
 // Cleanup endpoint
 app.post('/cleanup', async (req, res) => {
     try {
         // Clean up all document data and resources using DocuGraphRAG
-        await docurag.cleanup();
-
-        // Reinitialize DocuGraphRAG for future use
-        await docurag.initialize();
+        // Only the caller's namespace; other workspaces keep their data
+        await req.docurag.clearNamespace();
 
         res.json({
             success: true,
@@ -220,19 +492,16 @@ app.post('/cleanup', async (req, res) => {
     }
 });
 
-// Add delete document endpoint
+// Deletes a document with its chunks and entities
 app.delete('/documents/:documentId', async (req, res) => {
-    const session = driver.session();
     try {
-        const { documentId } = req.params;
-
-        // Delete document and all related nodes
-        await session.run(`
-            MATCH (d:Document {documentId: $documentId})
-            OPTIONAL MATCH (d)-[:HAS_CHUNK]->(c:DocumentChunk)
-            OPTIONAL MATCH (c)-[:HAS_ENTITY]->(e:Entity)
-            DETACH DELETE d, c, e
-        `, { documentId });
+        const deleted = await req.docurag.deleteDocument(req.params.documentId);
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Document not found'
+            });
+        }
 
         res.json({
             success: true,
@@ -244,8 +513,6 @@ app.delete('/documents/:documentId', async (req, res) => {
             success: false,
             error: error.message || 'Failed to delete document'
         });
-    } finally {
-        await session.close();
     }
 });
 
@@ -257,25 +524,32 @@ app.post('/graph-data', async (req, res) => {
     }
 
     try {
-        const session = driver.session();
         const query = `
-            MATCH (d:Document)-[:HAS_CHUNK]->(c:DocumentChunk)-[:APPEARS_IN]->(e:Entity)
+            MATCH (d:Document {namespace: $namespace})-[:HAS_CHUNK]->(c:DocumentChunk)-[:APPEARS_IN]->(e:Entity)
             WHERE d.documentId IN $documentIds
             WITH d, c, e
             MATCH (e)-[r]->(e2:Entity)
             WHERE e.documentId = e2.documentId
+            // Resolved entities are drawn once, however many documents mention them
+            OPTIONAL MATCH (e)-[:SAME_AS]->(ce1:CanonicalEntity)
+            OPTIONAL MATCH (e2)-[:SAME_AS]->(ce2:CanonicalEntity)
             RETURN DISTINCT 
                 d.documentId as docId,
                 d.name as docName,
                 c.index as chunkIndex,
                 e.text as sourceText,
                 e.type as sourceType,
+                ce1.canonicalId as sourceCanonicalId,
+                ce1.name as sourceCanonicalName,
                 type(r) as relationType,
                 e2.text as targetText,
-                e2.type as targetType
+                e2.type as targetType,
+                ce2.canonicalId as targetCanonicalId,
+                ce2.name as targetCanonicalName
         `;
 
-        const result = await session.run(query, { documentIds });
+        // runQuery binds $namespace and picks the namespace's database
+        const result = await req.docurag.runQuery(query, { documentIds });
 
         // Transform the results into a graph structure
         const nodes = new Map();
@@ -291,18 +565,18 @@ app.post('/graph-data', async (req, res) => {
             });
 
             // Add source entity node
-            const sourceId = `${docId}-${record.get('sourceText')}`;
+            const sourceId = record.get('sourceCanonicalId') || `${docId}-${record.get('sourceText')}`;
             nodes.set(sourceId, {
                 id: sourceId,
-                label: record.get('sourceText'),
+                label: record.get('sourceCanonicalName') || record.get('sourceText'),
                 type: record.get('sourceType')
             });
 
             // Add target entity node
-            const targetId = `${docId}-${record.get('targetText')}`;
+            const targetId = record.get('targetCanonicalId') || `${docId}-${record.get('targetText')}`;
             nodes.set(targetId, {
                 id: targetId,
-                label: record.get('targetText'),
+                label: record.get('targetCanonicalName') || record.get('targetText'),
                 type: record.get('targetType')
             });
 
@@ -320,8 +594,6 @@ app.post('/graph-data', async (req, res) => {
             });
         });
 
-        await session.close();
-
         res.json({
             nodes: Array.from(nodes.values()),
             edges: Array.from(edges)
@@ -333,6 +605,38 @@ app.post('/graph-data', async (req, res) => {
     }
 });
 
+// Optional `ontology` form field holding JSON, see src/ontology.js; undefined when not sent
+function parseOntology(value) {
+    if (!value) {
+        return undefined;
+    }
+
+    let ontology;
+    try {
+        ontology = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`Invalid ontology JSON: ${error.message}`);
+    }
+    return normalizeOntology(ontology);
+}
+
+// Optional `metadata` form field holding a JSON object, see src/filters.js; undefined when not sent
+function parseMetadata(value) {
+    if (!value) {
+        return undefined;
+    }
+
+    let metadata;
+    try {
+        metadata = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`Invalid metadata JSON: ${error.message}`);
+    }
+    // Checked here so a bad field is a 400; ingestion normalizes it itself
+    normalizeMetadata(metadata);
+    return metadata;
+}
+
 // Start server with proper error handling
 const port = process.env.PORT || 3000;
 
@@ -343,6 +647,15 @@ async function startServer() {
         await docurag.initialize();
         console.log('DocuRAG initialized successfully');
 
+        // Pick up documents whose ingestion was cut short by a restart
+        const resumed = [];
+        for (const namespace of await docurag.listNamespaces()) {
+            resumed.push(...await docurag.withNamespace(namespace).resumeIncompleteDocuments());
+        }
+        if (resumed.length > 0) {
+            console.log(`Resuming ingestion of ${resumed.length} document(s)`);
+        }
+
         const server = app.listen(port, () => {
             console.log(`Server running at http://localhost:${port}`);
         });
@@ -350,10 +663,10 @@ async function startServer() {
         // Handle server shutdown gracefully
         process.on('SIGTERM', async () => {
             console.log('Received SIGTERM. Performing graceful shutdown...');
-            await driver.close();
             server.close(async () => {
                 try {
-                    await docurag.cleanup();
+                    // Keep the data so interrupted ingestion can resume on the next start
+                    await docurag.close();
                 } catch (error) {
                     console.error('Error during shutdown cleanup:', error);
                 } finally {
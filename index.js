@@ -1 +1,12 @@
-export { DocuGraphRAG } from './src/index.js';
\ No newline at end of file
+export { DocuGraphRAG } from './src/index.js';
+export { OpenAIProvider, OpenAICompatibleProvider, FakeProvider, createProvider } from './src/providers.js';
+export { LoaderRegistry, createLoaderRegistry } from './src/loaders.js';
+export { IngestionJob } from './src/pipeline.js';
+export { InMemoryCache, FileCache, Neo4jCache } from './src/cache.js';
+export { EntityResolver, normalizeEntityName, normalizeEntityType } from './src/resolution.js';
+export { StructuredOutputError, parseJSON } from './src/structured.js';
+export { detectCommunities } from './src/communities.js';
+export { validateCypher } from './src/cypher.js';
+export { RuleRouter, LLMRouter } from './src/router.js';
+export { compileFilter, normalizeMetadata } from './src/filters.js';
+export { DEFAULT_PROMPTS, ANSWER_STYLES } from './src/prompts.js';
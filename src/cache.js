@@ -0,0 +1,125 @@
+import { createHash, randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { DEFAULT_NAMESPACE } from './namespaces.js';
+
+// A cache implements:
+//   get(key)        -> Promise<value | undefined>
+//   set(key, value) -> Promise<void>
+// Values are JSON-serializable (embeddings, parsed extraction results); keys come from cacheKey().
+
+// Least recently used entries are evicted beyond maxEntries
+export class InMemoryCache {
+    constructor({ maxEntries = 10000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+
+        // Re-insert to mark as most recently used
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    async set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+// One JSON file per entry, so the cache survives restarts without a database
+export class FileCache {
+    constructor({ directory = '.docugraphrag-cache' } = {}) {
+        this.directory = directory;
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fs.readFile(this.pathFor(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return undefined;
+            }
+            throw error;
+        }
+    }
+
+    async set(key, value) {
+        const file = this.pathFor(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+
+        // Write then rename so readers never see a half-written entry; concurrent writes of the same
+        // key each get their own temp file
+        const temp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+        await fs.writeFile(temp, JSON.stringify(value));
+        await fs.rename(temp, file);
+    }
+
+    pathFor(key) {
+        const [kind, hash] = key.split(':');
+        return path.join(this.directory, kind, `${hash}.json`);
+    }
+}
+
+// Stores entries as (:CacheEntry {key, value}) nodes next to the graph, tagged with their namespace
+export class Neo4jCache {
+    constructor(runQuery, { namespace = DEFAULT_NAMESPACE } = {}) {
+        this.runQuery = runQuery;
+        this.namespace = namespace;
+    }
+
+    async get(key) {
+        const result = await this.runQuery(
+            'MATCH (e:CacheEntry {key: $key}) RETURN e.value AS value',
+            { key }
+        );
+        return result.records.length > 0 ? JSON.parse(result.records[0].get('value')) : undefined;
+    }
+
+    async set(key, value) {
+        await this.runQuery(
+            'MERGE (e:CacheEntry {key: $key}) SET e.value = $value, e.namespace = $namespace, e.updated = $updated',
+            { key, value: JSON.stringify(value), namespace: this.namespace, updated: new Date().toISOString() }
+        );
+    }
+}
+
+// cache: 'memory', 'file', 'neo4j', false to disable, or a cache object
+export function resolveCache(cache, { runQuery, maxEntries, directory, namespace } = {}) {
+    if (cache === false || cache === 'none') {
+        return null;
+    }
+    if (!cache || cache === 'memory') {
+        return new InMemoryCache({ maxEntries });
+    }
+    if (cache === 'file') {
+        return new FileCache({ directory });
+    }
+    if (cache === 'neo4j') {
+        return new Neo4jCache(runQuery, { namespace });
+    }
+    if (typeof cache.get === 'function' && typeof cache.set === 'function') {
+        return cache;
+    }
+    throw new Error('cache must be \'memory\', \'file\', \'neo4j\', false or a cache object');
+}
+
+// SHA-256 of a string or buffer, hex encoded
+export function hashContent(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+// "kind:hash" over everything the cached value depends on, e.g. cacheKey('embedding', namespace, model, text)
+export function cacheKey(kind, ...parts) {
+    return `${kind}:${hashContent(JSON.stringify(parts))}`;
+}
@@ -0,0 +1,269 @@
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { extractMarkdownHeadings } from './loaders.js';
+
+// Chunking strategies and the bookkeeping that maps chunks back to offsets, pages and headings
+
+export const CHUNKING_STRATEGIES = ['recursive', 'markdown', 'sentence', 'token', 'semantic'];
+
+const SEPARATORS = ["\n\n", "\n", ". ", " ", ""];
+
+// Returns [{ pageContent, metadata: { start, end, pageStart, pageEnd, headingPath } }]
+//
+// options:
+//   strategy          one of CHUNKING_STRATEGIES (default 'recursive')
+//   chunkSize         max characters per chunk (tokens for 'token')
+//   chunkOverlap      overlap in characters (tokens for 'token')
+//   pages, headings   structural metadata from the loader
+//   sentencesPerChunk, sentenceOverlap        for 'sentence'
+//   encoding, tokenizer                       for 'token'
+//   breakpointPercentile                      for 'semantic'
+// embed(text) is required by the 'semantic' strategy.
+export async function chunkText(text, options = {}, { embed } = {}) {
+    const {
+        strategy = 'recursive',
+        chunkSize = 1000,
+        chunkOverlap = 200,
+        pages = []
+    } = options;
+
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown chunking strategy: ${strategy} (expected one of ${CHUNKING_STRATEGIES.join(', ')})`);
+    }
+
+    // Only markdown-like sources have headings; the markdown strategy looks for them itself
+    const headings = options.headings
+        ?? (strategy === 'markdown' ? extractMarkdownHeadings(text) : []);
+
+    let spans;
+    switch (strategy) {
+        case 'markdown':
+            spans = await splitMarkdown(text, headings, chunkSize, chunkOverlap);
+            break;
+        case 'sentence':
+            spans = splitSentences(text, options.sentencesPerChunk ?? 5, options.sentenceOverlap ?? 1);
+            break;
+        case 'token':
+            spans = await splitRecursive(text, chunkSize, chunkOverlap, await createTokenCounter(options));
+            break;
+        case 'semantic':
+            if (typeof embed !== 'function') {
+                throw new Error('The semantic chunking strategy needs an embedding function');
+            }
+            spans = await splitSemantic(text, chunkSize, options.breakpointPercentile ?? 90, embed);
+            break;
+        default:
+            spans = await splitRecursive(text, chunkSize, chunkOverlap);
+    }
+
+    return spans.map(({ content, start, end }) => ({
+        pageContent: content,
+        metadata: {
+            start,
+            end,
+            ...pageRangeFor(pages, start, end),
+            headingPath: start != null ? headingPathAt(headings, start) : []
+        }
+    }));
+}
+
+async function splitRecursive(text, chunkSize, chunkOverlap, lengthFunction) {
+    const splitter = new RecursiveCharacterTextSplitter({
+        chunkSize,
+        chunkOverlap,
+        separators: SEPARATORS,
+        ...(lengthFunction ? { lengthFunction } : {})
+    });
+
+    const docs = await splitter.createDocuments([text]);
+    const contents = docs.map(doc => doc.pageContent);
+    const offsets = locateChunks(text, contents, lengthFunction ? Infinity : chunkOverlap);
+
+    return contents.map((content, i) => ({ content, ...offsets[i] }));
+}
+
+// One chunk per heading section; sections longer than chunkSize are split further
+async function splitMarkdown(text, headings, chunkSize, chunkOverlap) {
+    const boundaries = [...new Set([0, ...headings.map(heading => heading.start), text.length])]
+        .sort((a, b) => a - b);
+
+    const spans = [];
+    for (let i = 0; i < boundaries.length - 1; i++) {
+        const section = trimSpan(text, boundaries[i], boundaries[i + 1]);
+        if (!section) {
+            continue;
+        }
+
+        if (section.content.length <= chunkSize) {
+            spans.push(section);
+            continue;
+        }
+
+        const parts = (await splitRecursive(section.content, chunkSize, chunkOverlap))
+            .filter(part => part.start != null)
+            .map(part => spanBetween(text, section.start + part.start, section.start + part.end));
+
+        // Keep a heading with the text below it rather than as a chunk of its own
+        if (parts.length > 1 && /^#{1,6}[ \t][^\n]*$/.test(parts[0].content)) {
+            parts.splice(0, 2, spanBetween(text, parts[0].start, parts[1].end));
+        }
+
+        spans.push(...parts);
+    }
+
+    return spans;
+}
+
+// Sliding window over sentences
+function splitSentences(text, sentencesPerChunk, sentenceOverlap) {
+    const sentences = sentenceSpans(text);
+    const step = Math.max(1, sentencesPerChunk - sentenceOverlap);
+
+    const spans = [];
+    for (let i = 0; i < sentences.length; i += step) {
+        const window = sentences.slice(i, i + sentencesPerChunk);
+        spans.push(spanBetween(text, window[0].start, window[window.length - 1].end));
+        if (i + sentencesPerChunk >= sentences.length) {
+            break;
+        }
+    }
+    return spans;
+}
+
+// Starts a new chunk where consecutive sentence embeddings diverge the most
+async function splitSemantic(text, chunkSize, breakpointPercentile, embed) {
+    const sentences = sentenceSpans(text);
+    if (sentences.length < 2) {
+        return sentences.map(sentence => spanBetween(text, sentence.start, sentence.end));
+    }
+
+    const embeddings = [];
+    for (let i = 0; i < sentences.length; i += 16) {
+        const batch = sentences.slice(i, i + 16);
+        embeddings.push(...await Promise.all(batch.map(sentence => embed(text.slice(sentence.start, sentence.end)))));
+    }
+
+    const distances = embeddings.slice(1).map((embedding, i) => 1 - cosineSimilarity(embeddings[i], embedding));
+    const threshold = percentile(distances, breakpointPercentile);
+
+    const spans = [];
+    let groupStart = 0;
+    for (let i = 1; i <= sentences.length; i++) {
+        const isLast = i === sentences.length;
+        const tooLong = !isLast && sentences[i].end - sentences[groupStart].start > chunkSize;
+
+        if (isLast || distances[i - 1] > threshold || tooLong) {
+            spans.push(spanBetween(text, sentences[groupStart].start, sentences[i - 1].end));
+            groupStart = i;
+        }
+    }
+    return spans;
+}
+
+async function createTokenCounter({ tokenizer, encoding = 'cl100k_base' }) {
+    if (typeof tokenizer === 'function') {
+        return tokenizer;
+    }
+
+    const { getEncoding } = await import('js-tiktoken');
+    const encoder = getEncoding(encoding);
+    return text => encoder.encode(text).length;
+}
+
+function sentenceSpans(text) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+    return [...segmenter.segment(text)]
+        .map(({ index, segment }) => trimSpan(text, index, index + segment.length))
+        .filter(Boolean);
+}
+
+function spanBetween(text, start, end) {
+    return { content: text.slice(start, end), start, end };
+}
+
+// Drops surrounding whitespace while keeping offsets exact; null for blank spans
+function trimSpan(text, start, end) {
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const content = raw.trim();
+    if (!content) {
+        return null;
+    }
+    return { content, start: start + leading, end: start + leading + content.length };
+}
+
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let magA = 0;
+    let magB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        magA += a[i] * a[i];
+        magB += b[i] * b[i];
+    }
+    return magA && magB ? dot / (Math.sqrt(magA) * Math.sqrt(magB)) : 0;
+}
+
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    return sorted[index];
+}
+
+// Splitters return chunk text only; find each chunk in the source, in order.
+// A chunk overlaps the previous one by at most `overlap` characters, so the search
+// for the next chunk starts there; repeated passages would otherwise match too early.
+export function locateChunks(text, contents, overlap = 0) {
+    let searchFrom = 0;
+
+    return contents.map(content => {
+        let start = text.indexOf(content, searchFrom);
+        if (start === -1) {
+            start = text.indexOf(content);
+        }
+        if (start === -1) {
+            return { start: null, end: null };
+        }
+
+        searchFrom = Math.max(start + 1, start + content.length - overlap);
+        return { start, end: start + content.length };
+    });
+}
+
+// pages: [{ pageNumber, start, end }] as produced by the loaders
+export function pageRangeFor(pages, start, end) {
+    if (!pages?.length || start == null) {
+        return { pageStart: null, pageEnd: null };
+    }
+
+    return {
+        pageStart: pageAt(pages, start),
+        pageEnd: pageAt(pages, Math.max(start, end - 1))
+    };
+}
+
+// Titles of the enclosing headings at an offset, outermost first
+export function headingPathAt(headings, offset) {
+    const path = [];
+    for (const heading of headings) {
+        if (heading.start > offset) {
+            break;
+        }
+        while (path.length && path[path.length - 1].level >= heading.level) {
+            path.pop();
+        }
+        path.push(heading);
+    }
+    return path.map(heading => heading.text);
+}
+
+// Page containing the offset; separators between pages count towards the previous page
+function pageAt(pages, offset) {
+    let pageNumber = pages[0].pageNumber;
+    for (const page of pages) {
+        if (page.start > offset) {
+            break;
+        }
+        pageNumber = page.pageNumber;
+    }
+    return pageNumber;
+}
@@ -0,0 +1,114 @@
+import neo4j from 'neo4j-driver';
+
+const EXCERPT_LENGTH = 200;
+
+// Numbers the context chunks [1]..[n] and describes where each one came from
+export function buildSources(chunks) {
+    return chunks.map((chunk, i) => {
+        const chunkIndex = toNumber(chunk.chunkIndex ?? null);
+        const pageStart = toNumber(chunk.pageStart ?? null);
+        const pageEnd = toNumber(chunk.pageEnd ?? chunk.pageStart ?? null);
+
+        return {
+            id: i + 1,
+            key: `${chunk.documentId}:${chunkIndex}`,
+            documentId: chunk.documentId,
+            fileName: chunk.fileName || null,
+            chunkIndex,
+            pageStart,
+            pageEnd,
+            // Character range of the chunk in the extracted document text
+            startOffset: toNumber(chunk.startOffset ?? null),
+            endOffset: toNumber(chunk.endOffset ?? null),
+            headingPath: chunk.headingPath || [],
+            label: formatSourceLabel(chunk.fileName, chunkIndex, pageStart, pageEnd),
+            excerpt: String(chunk.content || '').slice(0, EXCERPT_LENGTH),
+            score: chunk.rerankScore ?? chunk.score ?? null
+        };
+    });
+}
+
+// Numbers the communities global search drew points from, in the order of their best point.
+// points: [{ description, score, communityId, title, documentIds }]
+export function buildCommunitySources(points) {
+    const sources = new Map();
+    for (const point of points) {
+        if (!sources.has(point.communityId)) {
+            sources.set(point.communityId, {
+                id: sources.size + 1,
+                key: `community:${point.communityId}`,
+                communityId: point.communityId,
+                documentIds: point.documentIds || [],
+                label: point.title || 'Untitled community',
+                excerpt: point.description.slice(0, EXCERPT_LENGTH),
+                score: point.score
+            });
+        }
+    }
+    return [...sources.values()];
+}
+
+// The single source of a Cypher mode answer: the generated query and its rows
+export function buildQuerySource({ query, rows }) {
+    return {
+        id: 1,
+        key: 'cypher',
+        label: `Graph query (${rows.length} row${rows.length === 1 ? '' : 's'})`,
+        excerpt: query.slice(0, EXCERPT_LENGTH),
+        query,
+        score: null
+    };
+}
+
+export function formatSourceLabel(fileName, chunkIndex, pageStart, pageEnd) {
+    const parts = [fileName || 'Untitled document'];
+    if (chunkIndex != null) {
+        parts.push(`chunk ${chunkIndex}`);
+    }
+    if (pageStart != null) {
+        parts.push(pageEnd != null && pageEnd !== pageStart ? `pp. ${pageStart}-${pageEnd}` : `p. ${pageStart}`);
+    }
+    return parts.join(', ');
+}
+
+// Citation numbers used in an answer, e.g. "[2]" or "[1, 3]"
+export function extractCitedIds(text) {
+    const ids = new Set();
+    for (const match of String(text).matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+        match[1].split(',').forEach(id => ids.add(Number(id.trim())));
+    }
+    return ids;
+}
+
+// Wraps the token stream so the caller can ask which sources the finished answer cited.
+// The answer itself stays async-iterable, so `for await (const chunk of answer)` still works.
+// onComplete(text) runs once the whole answer has been streamed.
+export function createCitedAnswer(stream, sources, onComplete = null) {
+    let text = '';
+
+    const tracked = (async function* () {
+        for await (const chunk of stream) {
+            text += chunk.choices?.[0]?.delta?.content || '';
+            yield chunk;
+        }
+        if (onComplete) {
+            await onComplete(text);
+        }
+    })();
+
+    return {
+        stream: tracked,
+        sources,
+        // Call once the stream has been consumed
+        citedSources() {
+            const cited = extractCitedIds(text);
+            return sources.filter(source => cited.has(source.id));
+        },
+        text: () => text,
+        [Symbol.asyncIterator]: () => tracked[Symbol.asyncIterator]()
+    };
+}
+
+function toNumber(value) {
+    return neo4j.isInt(value) ? value.toNumber() : value;
+}
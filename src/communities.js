@@ -0,0 +1,241 @@
+// Communities: clusters of densely connected entities, summarized by the chat model so questions
+// about a whole corpus ("what are the main themes?") can be answered from the summaries.
+
+import { cacheKey } from './cache.js';
+
+// Caps on what goes into one summary prompt
+const MAX_SUMMARY_ENTITIES = 40;
+const MAX_SUMMARY_RELATIONSHIPS = 60;
+const MAX_EXCERPT_LENGTH = 500;
+
+const SUMMARY_SCHEMA = {
+    type: 'object',
+    required: ['title', 'summary'],
+    properties: {
+        title: { type: 'string' },
+        summary: { type: 'string' },
+        importance: { type: ['number', 'string'] }
+    }
+};
+
+const MAP_SCHEMA = {
+    type: 'object',
+    required: ['points'],
+    properties: {
+        points: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['description', 'community'],
+                properties: {
+                    description: { type: 'string' },
+                    community: { type: ['number', 'string'] },
+                    score: { type: ['number', 'string'] }
+                }
+            }
+        }
+    }
+};
+
+// Louvain modularity clustering.
+// nodes: [id], edges: [{ source, target, weight }], treated as undirected.
+// Returns Map(id -> community number); numbers are 0..k-1, largest communities first.
+export function detectCommunities(nodes, edges, { resolution = 1, maxLevels = 10 } = {}) {
+    const index = new Map(nodes.map((id, i) => [id, i]));
+    let graph = {
+        size: nodes.length,
+        adjacency: nodes.map(() => new Map()),
+        selfLoops: new Float64Array(nodes.length)
+    };
+
+    for (const { source, target, weight = 1 } of edges) {
+        const a = index.get(source);
+        const b = index.get(target);
+        if (a === undefined || b === undefined) {
+            continue;
+        }
+        if (a === b) {
+            graph.selfLoops[a] += weight;
+            continue;
+        }
+        graph.adjacency[a].set(b, (graph.adjacency[a].get(b) || 0) + weight);
+        graph.adjacency[b].set(a, (graph.adjacency[b].get(a) || 0) + weight);
+    }
+
+    // Community of every original node, refined level by level
+    let membership = nodes.map((_, i) => i);
+
+    for (let level = 0; level < maxLevels; level++) {
+        const { community, moved } = moveNodes(graph, resolution);
+        if (!moved) {
+            break;
+        }
+
+        const renumbered = compact(community);
+        membership = membership.map(node => renumbered.assignment[node]);
+        graph = aggregate(graph, renumbered.assignment, renumbered.count);
+    }
+
+    // Largest first, so community 0 is the biggest
+    const sizes = new Map();
+    for (const community of membership) {
+        sizes.set(community, (sizes.get(community) || 0) + 1);
+    }
+    const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+    const rank = new Map(order.map((community, i) => [community, i]));
+
+    return new Map(nodes.map((id, i) => [id, rank.get(membership[i])]));
+}
+
+// Local moving phase: each node joins the neighbouring community with the best modularity gain
+function moveNodes(graph, resolution) {
+    const { size, adjacency, selfLoops } = graph;
+    const degree = new Float64Array(size);
+    let totalWeight = 0;
+    for (let i = 0; i < size; i++) {
+        for (const weight of adjacency[i].values()) {
+            degree[i] += weight;
+        }
+        degree[i] += 2 * selfLoops[i];
+        totalWeight += degree[i];
+    }
+
+    const community = Array.from({ length: size }, (_, i) => i);
+    if (totalWeight === 0) {
+        return { community, moved: false };
+    }
+
+    const totals = Float64Array.from(degree);
+    let moved = false;
+    let improved = true;
+
+    for (let pass = 0; improved && pass < 100; pass++) {
+        improved = false;
+
+        for (let i = 0; i < size; i++) {
+            const current = community[i];
+
+            // Edge weight from i to each neighbouring community
+            const links = new Map();
+            for (const [j, weight] of adjacency[i]) {
+                links.set(community[j], (links.get(community[j]) || 0) + weight);
+            }
+
+            totals[current] -= degree[i];
+            const gain = target => (links.get(target) || 0) - resolution * totals[target] * degree[i] / totalWeight;
+
+            let best = current;
+            let bestGain = gain(current);
+            for (const target of links.keys()) {
+                const candidate = gain(target);
+                if (candidate > bestGain + 1e-12) {
+                    best = target;
+                    bestGain = candidate;
+                }
+            }
+
+            totals[best] += degree[i];
+            if (best !== current) {
+                community[i] = best;
+                improved = true;
+                moved = true;
+            }
+        }
+    }
+
+    return { community, moved };
+}
+
+function compact(community) {
+    const numbers = new Map();
+    const assignment = community.map(c => {
+        if (!numbers.has(c)) {
+            numbers.set(c, numbers.size);
+        }
+        return numbers.get(c);
+    });
+    return { assignment, count: numbers.size };
+}
+
+// One node per community; edges inside a community become self-loops
+function aggregate(graph, assignment, count) {
+    const adjacency = Array.from({ length: count }, () => new Map());
+    const selfLoops = new Float64Array(count);
+
+    for (let i = 0; i < graph.size; i++) {
+        const a = assignment[i];
+        selfLoops[a] += graph.selfLoops[i];
+        for (const [j, weight] of graph.adjacency[i]) {
+            const b = assignment[j];
+            if (a === b) {
+                // Every internal edge is seen from both ends
+                selfLoops[a] += weight / 2;
+            } else {
+                adjacency[a].set(b, (adjacency[a].get(b) || 0) + weight);
+            }
+        }
+    }
+
+    return { size: count, adjacency, selfLoops };
+}
+
+// Title, summary and importance (0-10) of one community; unchanged communities are only sent
+// to the model once.
+// community: { entities: [{ name, type }], relationships: [{ from, type, to }], excerpts: [text] }
+export async function summarizeCommunity(llm, community) {
+    const entities = community.entities.slice(0, MAX_SUMMARY_ENTITIES)
+        .map(entity => `- ${entity.name} (${entity.type})`)
+        .join('\n');
+    const relationships = community.relationships.slice(0, MAX_SUMMARY_RELATIONSHIPS)
+        .map(rel => `- ${rel.from} ${rel.type} ${rel.to}`)
+        .join('\n');
+    const excerpts = community.excerpts
+        .map(excerpt => `> ${String(excerpt).slice(0, MAX_EXCERPT_LENGTH).replace(/\n+/g, ' ')}`)
+        .join('\n');
+
+    const messages = [
+        {
+            role: 'system',
+            content: 'You write short reports about a group of related entities from a document collection. Return ONLY a JSON object like {"title": "...", "summary": "...", "importance": 7}. The title names the group in a few words. The summary (at most 200 words) explains who or what the entities are, how they relate and what matters about them, using only the information given. importance is 0 (trivial) to 10 (central to the collection).'
+        },
+        {
+            role: 'user',
+            content: `Entities:\n${entities}\n\nRelationships:\n${relationships || '- none'}\n\nExcerpts:\n${excerpts || '- none'}`
+        }
+    ];
+
+    const key = cacheKey('community', llm.namespace, llm.provider.config?.chatModel, messages);
+    const report = await llm.cached(key, () => llm.requestJSON(messages, { schema: SUMMARY_SCHEMA, temperature: 0 }));
+    const importance = Number(report.importance);
+    return {
+        title: report.title.trim(),
+        summary: report.summary.trim(),
+        importance: Number.isFinite(importance) ? Math.min(10, Math.max(0, importance)) : 5
+    };
+}
+
+// Map step of global search: points from a batch of community reports that help answer the question.
+// communities: [{ id, title, summary }]; returns [{ description, community: id, score 0-100 }]
+export async function mapCommunities(llm, question, communities) {
+    const reports = communities
+        .map(community => `[${community.id}] ${community.title}\n${community.summary}`)
+        .join('\n\n');
+
+    const messages = [
+        {
+            role: 'system',
+            content: 'You read reports about groups of entities in a document collection and pick out what helps answer a question. Return ONLY a JSON object like {"points": [{"description": "...", "community": 3, "score": 80}]}. Each point is one self-contained statement, "community" is the number of the report it comes from and "score" (0-100) is how much it helps answer the question. Return {"points": []} when nothing is relevant.'
+        },
+        { role: 'user', content: `Question: ${question}\n\nReports:\n${reports}` }
+    ];
+
+    const ids = new Set(communities.map(community => community.id));
+    const { points } = await llm.requestJSON(messages, { schema: MAP_SCHEMA, temperature: 0 });
+    return points
+        .map(point => ({
+            description: point.description.trim(),
+            community: Number(point.community),
+            score: Math.min(100, Math.max(0, Number(point.score) || 0))
+        }))
+        .filter(point => ids.has(point.community) && point.score > 0 && point.description);
+}
@@ -0,0 +1,166 @@
+import neo4j from 'neo4j-driver';
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_NAMESPACE } from './namespaces.js';
+
+// A conversation store implements:
+//   create()                             -> Promise<conversationId>
+//   exists(conversationId)               -> Promise<boolean>, optional; stores without it accept any id
+//   getMessages(conversationId, limit)   -> Promise<[{ role, content, created }]> oldest first
+//   addMessages(conversationId, messages)-> Promise<void>, throwing for an unknown conversation
+//   delete(conversationId)               -> Promise<void>
+
+// Keeps the latest maxMessages of each conversation and drops the least recently used
+// conversation once there are more than maxConversations
+export class InMemoryConversationStore {
+    constructor({ maxConversations = 1000, maxMessages = 200 } = {}) {
+        this.conversations = new Map();
+        this.maxConversations = maxConversations;
+        this.maxMessages = maxMessages;
+    }
+
+    async create() {
+        const conversationId = uuidv4();
+        this.conversations.set(conversationId, []);
+        while (this.conversations.size > this.maxConversations) {
+            this.conversations.delete(this.conversations.keys().next().value);
+        }
+        return conversationId;
+    }
+
+    async exists(conversationId) {
+        return this.conversations.has(conversationId);
+    }
+
+    async getMessages(conversationId, limit = 50) {
+        return (this.conversations.get(conversationId) || []).slice(-limit);
+    }
+
+    async addMessages(conversationId, messages) {
+        const history = this.conversations.get(conversationId);
+        if (!history) {
+            throw new Error(`Conversation ${conversationId} not found`);
+        }
+        const created = new Date().toISOString();
+        history.push(...messages.map(({ role, content }) => ({ role, content, created })));
+        history.splice(0, history.length - this.maxMessages);
+
+        // Map order is insertion order, so this marks it as the most recently used
+        this.conversations.delete(conversationId);
+        this.conversations.set(conversationId, history);
+    }
+
+    async delete(conversationId) {
+        this.conversations.delete(conversationId);
+    }
+}
+
+// Persists history as (:Conversation)-[:HAS_MESSAGE]->(:Message) nodes within a namespace
+export class Neo4jConversationStore {
+    constructor(runQuery, { namespace = DEFAULT_NAMESPACE } = {}) {
+        this.runQuery = runQuery;
+        this.namespace = namespace;
+    }
+
+    async create() {
+        const conversationId = uuidv4();
+        await this.runQuery(
+            'CREATE (:Conversation {conversationId: $conversationId, namespace: $namespace, created: $created})',
+            { conversationId, namespace: this.namespace, created: new Date().toISOString() }
+        );
+        return conversationId;
+    }
+
+    async exists(conversationId) {
+        const result = await this.runQuery(
+            'MATCH (c:Conversation {conversationId: $conversationId, namespace: $namespace}) RETURN count(c) AS count',
+            { conversationId, namespace: this.namespace }
+        );
+        return result.records[0].get('count').toNumber() > 0;
+    }
+
+    async getMessages(conversationId, limit = 50) {
+        const result = await this.runQuery(`
+            MATCH (:Conversation {conversationId: $conversationId, namespace: $namespace})-[:HAS_MESSAGE]->(m:Message)
+            RETURN m.role AS role, m.content AS content, m.created AS created
+            ORDER BY m.sequence DESC
+            LIMIT $limit
+        `, { conversationId, namespace: this.namespace, limit: neo4j.int(limit) });
+
+        return result.records
+            .map(record => ({
+                role: record.get('role'),
+                content: record.get('content'),
+                created: record.get('created')
+            }))
+            .reverse();
+    }
+
+    async addMessages(conversationId, messages) {
+        const result = await this.runQuery(`
+            MATCH (c:Conversation {conversationId: $conversationId, namespace: $namespace})
+            OPTIONAL MATCH (c)-[:HAS_MESSAGE]->(existing:Message)
+            WITH c, count(existing) AS offset
+            UNWIND range(0, size($messages) - 1) AS i
+            CREATE (c)-[:HAS_MESSAGE]->(:Message {
+                role: $messages[i].role,
+                content: $messages[i].content,
+                namespace: $namespace,
+                created: $created,
+                sequence: offset + i
+            })
+            RETURN count(*) AS created
+        `, {
+            conversationId,
+            namespace: this.namespace,
+            created: new Date().toISOString(),
+            messages: messages.map(({ role, content }) => ({ role, content }))
+        });
+        if (messages.length > 0 && result.records[0].get('created').toNumber() === 0) {
+            throw new Error(`Conversation ${conversationId} not found`);
+        }
+    }
+
+    async delete(conversationId) {
+        await this.runQuery(`
+            MATCH (c:Conversation {conversationId: $conversationId, namespace: $namespace})
+            OPTIONAL MATCH (c)-[:HAS_MESSAGE]->(m:Message)
+            DETACH DELETE c, m
+        `, { conversationId, namespace: this.namespace });
+    }
+}
+
+// Custom store objects are used as they are, for every namespace
+export function resolveConversationStore(store, runQuery, { namespace, maxConversations, maxMessages } = {}) {
+    if (!store || store === 'memory') {
+        return new InMemoryConversationStore({ maxConversations, maxMessages });
+    }
+    if (store === 'neo4j') {
+        return new Neo4jConversationStore(runQuery, { namespace });
+    }
+    if (typeof store.getMessages === 'function' && typeof store.addMessages === 'function') {
+        return store;
+    }
+    throw new Error('conversationStore must be \'memory\', \'neo4j\' or a store object');
+}
+
+// Rough token count (~4 characters per token), good enough for budgeting prompts
+export function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+// Keeps the most recent messages that fit in the token budget
+export function trimHistory(messages, maxTokens) {
+    const kept = [];
+    let used = 0;
+
+    for (let i = messages.length - 1; i >= 0; i--) {
+        const tokens = estimateTokens(messages[i].content);
+        if (used + tokens > maxTokens) {
+            break;
+        }
+        used += tokens;
+        kept.unshift(messages[i]);
+    }
+
+    return kept;
+}
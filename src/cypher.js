@@ -0,0 +1,401 @@
+import neo4j from 'neo4j-driver';
+import { StructuredOutputError } from './structured.js';
+
+// Cypher mode: the chat model writes a read-only query against the entity graph of the selected
+// documents, for questions chunks can't answer ("how many suppliers are located in Germany?").
+// Generated queries are checked here before they run; they also run in a read transaction with a timeout.
+
+// Clauses and procedures that write or reach outside the selected documents
+const FORBIDDEN_CLAUSES = [
+    'CREATE', 'MERGE', 'DELETE', 'DETACH', 'SET', 'REMOVE', 'DROP', 'FOREACH', 'LOAD', 'USE',
+    'UNION', 'SHOW', 'GRANT', 'DENY', 'REVOKE', 'ALTER', 'START', 'STOP', 'TERMINATE', 'FINISH'
+];
+const FIRST_CLAUSES = ['MATCH', 'OPTIONAL', 'WITH', 'UNWIND', 'CALL'];
+const ALLOWED_PARAMETERS = new Set(['namespace', 'documentIds']);
+
+// Not when used as a property, label or parameter (e.limit, :Match, $with)
+const CLAUSE_PATTERN = /(?<![.:\w$])(OPTIONAL\s+MATCH|MATCH|WHERE|WITH|RETURN|UNWIND|CALL|ORDER\s+BY|SKIP|LIMIT)\b/gi;
+const SUBQUERY_PATTERN = /(?<![.:\w$])(CALL|EXISTS|COUNT|COLLECT)\s*(\([^()]*\))?\s*\{/gi;
+// (variable:Label:Other {properties}); label expressions and inline WHERE are not accepted
+const NODE_PATTERN = /\(\s*([A-Za-z_]\w*)?\s*((?::\s*[A-Za-z_]\w*\s*)*)(\{[^{}]*\})?\s*\)/g;
+
+// Characters of query results put into the answer prompt
+const MAX_RESULT_LENGTH = 12000;
+
+const QUERY_SCHEMA = {
+    type: 'object',
+    required: ['query'],
+    properties: {
+        query: { type: 'string' }
+    }
+};
+
+// Checks a generated query and caps the rows it returns; returns the query to run or throws
+export function validateCypher(query, { maxRows = 100 } = {}) {
+    let text = String(query ?? '').trim().replace(/;\s*$/, '');
+    const code = stripLiterals(text);
+
+    if (!code.trim()) {
+        throw new Error('The query is empty');
+    }
+    if (code.includes(';')) {
+        throw new Error('Only a single statement is allowed');
+    }
+
+    const first = (code.trim().match(/^\w+/)?.[0] ?? '').toUpperCase();
+    if (!FIRST_CLAUSES.includes(first)) {
+        throw new Error(`The query must start with MATCH, OPTIONAL MATCH, WITH, UNWIND or a CALL { } subquery, not ${first}`);
+    }
+
+    // Not when used as a property, label or relationship type (e.start, :Finish)
+    const clause = FORBIDDEN_CLAUSES.find(keyword => new RegExp(`(?<![.:\\w])${keyword}\\b`, 'i').test(code));
+    if (clause) {
+        throw new Error(`${clause} is not allowed, the query must be read-only`);
+    }
+    // Subqueries are fine, procedures are not
+    if (/\bCALL\b(?!\s*(\{|\([^)]*\)\s*\{))/i.test(code)) {
+        throw new Error('Procedure calls are not allowed');
+    }
+    if (/\b(apoc|gds|dbms|db)\s*\./i.test(code) || /\bIN\s+TRANSACTIONS\b/i.test(code)) {
+        throw new Error('Procedures and database functions are not allowed');
+    }
+    if (!/\bRETURN\b/i.test(code)) {
+        throw new Error('The query must end with RETURN');
+    }
+
+    const parameters = [...code.matchAll(/\$(\w+)/g)].map(match => match[1]);
+    const unknown = parameters.find(name => !ALLOWED_PARAMETERS.has(name));
+    if (unknown) {
+        throw new Error(`Unknown parameter $${unknown}, only $documentIds and $namespace are available`);
+    }
+    if (!parameters.includes('documentIds') || !parameters.includes('namespace')) {
+        throw new Error('The query must filter on documentId IN $documentIds and namespace = $namespace');
+    }
+    assertScoped(code);
+
+    // At most maxRows rows: lower a larger trailing LIMIT, or add one
+    const limit = code.match(/\bLIMIT\s+(\S+)\s*$/i);
+    if (!limit) {
+        text = `${text}\nLIMIT ${maxRows}`;
+    } else if (!/^\d+$/.test(limit[1])) {
+        throw new Error('LIMIT must be a number');
+    } else if (Number(limit[1]) > maxRows) {
+        text = text.replace(/\bLIMIT\s+\d+\s*$/i, `LIMIT ${maxRows}`);
+    }
+
+    return text;
+}
+
+// Replaces comments, strings and quoted names with blanks of the same length, so keywords inside
+// them are not mistaken for clauses
+function stripLiterals(query) {
+    return query.replace(/\/\/[^\n]*|\/\*[\s\S]*?\*\/|'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|`[^`]*`/g, match => ' '.repeat(match.length));
+}
+
+// Every node a query matches must be filtered to the namespace and the selected documents by the
+// MATCH that binds it: inline {namespace: $namespace} or a WHERE conjunct v.namespace = $namespace,
+// and a conjunct v.documentId IN $documentIds (canonical entities have no documentId). Checked
+// variables stay checked through WITH and into subqueries. Returns the checked variables RETURN passes on.
+function assertScoped(code, scoped = new Set(), imports = new Set()) {
+    const { text, subqueries } = extractSubqueries(code);
+    const flat = topLevel(text);
+
+    const keywords = /(?<![.:\w$])MATCH\b/gi;
+    if (text.match(keywords)?.length !== flat.match(keywords)?.length) {
+        throw new Error('MATCH is only allowed as a clause or in a subquery');
+    }
+
+    const clauses = [...flat.matchAll(CLAUSE_PATTERN)].map((match, i, matches) => ({
+        keyword: match[1].toUpperCase().replace(/\s+/g, ' '),
+        start: match.index,
+        body: text.slice(match.index + match[0].length, matches[i + 1]?.index ?? text.length)
+    }));
+    if (clauses.length === 0 || text.slice(0, clauses[0].start).trim()) {
+        throw new Error('Subqueries must start with MATCH, OPTIONAL MATCH, WITH, UNWIND or a CALL { } subquery');
+    }
+
+    let returned = new Set();
+    clauses.forEach((clause, i) => {
+        const end = clauses[i + 1]?.start ?? text.length;
+        const isMatch = clause.keyword === 'MATCH' || clause.keyword === 'OPTIONAL MATCH';
+
+        if (!isMatch && /-\[|\]-|<-|->|--/.test(clause.body)) {
+            throw new Error(`Relationship patterns are only allowed in MATCH, not in ${clause.keyword}`);
+        }
+
+        if (isMatch) {
+            const where = clauses[i + 1]?.keyword === 'WHERE' ? clauses[i + 1].body : '';
+            assertNodesScoped(clause.body, conjunctsOf(where), scoped);
+        } else if (clause.keyword === 'WITH' || clause.keyword === 'RETURN') {
+            // A CALL subquery's leading WITH imports variables from the outer query
+            const available = i === 0 ? new Set([...scoped, ...imports]) : scoped;
+            const kept = passedVariables(clause.body, available);
+            if (clause.keyword === 'WITH') {
+                scoped = kept;
+            } else {
+                returned = kept;
+            }
+        } else if (clause.keyword === 'UNWIND') {
+            const alias = clause.body.match(/\bAS\s+([A-Za-z_]\w*)\s*$/i);
+            if (alias) {
+                scoped.delete(alias[1]);
+            }
+        }
+
+        for (const subquery of subqueries.filter(({ start }) => start >= clause.start && start < end)) {
+            if (subquery.kind === 'CALL') {
+                // CALL { WITH a ... } and CALL (a) { ... } only see what they import
+                const listed = subquery.imports?.slice(1, -1).split(',').map(name => name.trim()) || [];
+                const initial = new Set(listed.includes('*') ? scoped : listed.filter(name => scoped.has(name)));
+                const passed = assertScoped(subquery.body, initial, subquery.imports ? new Set() : scoped);
+                scoped = new Set([...scoped, ...passed]);
+            } else {
+                // EXISTS, COUNT and COLLECT see the outer variables
+                assertScoped(subquery.body, new Set(scoped));
+            }
+        }
+    });
+    return returned;
+}
+
+// Adds the variables of a MATCH pattern to scoped, after checking the new ones are filtered
+function assertNodesScoped(pattern, conjuncts, scoped) {
+    if (/\[[^\]]*\*|[)\]>-]\s*(\{|\+|\*)/.test(pattern)) {
+        throw new Error('Variable-length and quantified paths are not allowed');
+    }
+
+    const nodes = new Map();
+    const rest = pattern.replace(NODE_PATTERN, (match, variable, labels, properties = '') => {
+        if (!variable) {
+            throw new Error(`Node ${match.trim()} needs a variable, so it can be filtered on namespace and documentId`);
+        }
+        const node = nodes.get(variable) || { labels: [], properties: [] };
+        node.labels.push(...labels.split(':').map(label => label.trim()).filter(Boolean));
+        node.properties.push(properties);
+        nodes.set(variable, node);
+        return ' ';
+    });
+    if (/[()]/.test(rest)) {
+        throw new Error('MATCH patterns may only contain nodes like (variable:Label {property: value}) and relationships');
+    }
+
+    for (const [variable, { labels, properties }] of nodes) {
+        if (scoped.has(variable)) {
+            continue;
+        }
+        const inNamespace = properties.some(map => /[{,]\s*namespace\s*:\s*\$namespace\s*[,}]/.test(map))
+            || conjuncts.some(conjunct => new RegExp(`^(${variable}\\.namespace\\s*=\\s*\\$namespace|\\$namespace\\s*=\\s*${variable}\\.namespace)$`).test(conjunct));
+        const canonical = labels.includes('CanonicalEntity');
+        const inDocuments = canonical
+            || conjuncts.some(conjunct => new RegExp(`^${variable}\\.documentId\\s+IN\\s+\\$documentIds$`, 'i').test(conjunct));
+        if (!inNamespace || !inDocuments) {
+            const filter = canonical ? '' : ` AND ${variable}.documentId IN $documentIds`;
+            throw new Error(`Node ${variable} must be filtered in its MATCH with ${variable}.namespace = $namespace${filter}`);
+        }
+        scoped.add(variable);
+    }
+}
+
+// The AND-ed conditions of a WHERE; none when an OR or XOR could bypass them
+function conjunctsOf(where) {
+    const condition = where.trim();
+    if (!condition || /\b(OR|XOR)\b/i.test(topLevel(condition))) {
+        return [];
+    }
+    if (/^\(.*\)$/s.test(condition) && !topLevel(condition).slice(1, -1).trim()) {
+        return conjunctsOf(condition.slice(1, -1));
+    }
+    return splitTopLevel(condition, /\bAND\b/gi).flatMap(part =>
+        part.startsWith('(') && !topLevel(part).slice(1, -1).trim() ? conjunctsOf(part) : [part.replace(/\s+/g, ' ')]);
+}
+
+// Checked variables a WITH or RETURN passes on, as themselves or under an alias
+function passedVariables(items, scoped) {
+    const passed = new Set();
+    for (const item of splitTopLevel(items.replace(/^\s*DISTINCT\b/i, ''), /,/g)) {
+        if (item === '*') {
+            scoped.forEach(variable => passed.add(variable));
+        }
+        const alias = item.match(/^([A-Za-z_]\w*)(?:\s+AS\s+([A-Za-z_]\w*))?$/i);
+        if (alias && scoped.has(alias[1])) {
+            passed.add(alias[2] || alias[1]);
+        }
+    }
+    return passed;
+}
+
+// Blanks the bodies of CALL, EXISTS, COUNT and COLLECT subqueries, which are checked on their own
+function extractSubqueries(code) {
+    const subqueries = [];
+    const pattern = new RegExp(SUBQUERY_PATTERN);
+    let text = code;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const open = match.index + match[0].length - 1;
+        let depth = 0;
+        let close = open;
+        for (; close < text.length; close++) {
+            depth += text[close] === '{' ? 1 : text[close] === '}' ? -1 : 0;
+            if (depth === 0) {
+                break;
+            }
+        }
+        if (depth !== 0) {
+            throw new Error('Unbalanced braces');
+        }
+        subqueries.push({ kind: match[1].toUpperCase(), imports: match[2], start: match.index, body: text.slice(open + 1, close) });
+        text = text.slice(0, open + 1) + ' '.repeat(close - open - 1) + text.slice(close);
+        pattern.lastIndex = close + 1;
+    }
+    return { text, subqueries };
+}
+
+// Blanks everything inside brackets, leaving the top level of an expression
+function topLevel(code) {
+    let depth = 0;
+    return code.replace(/./gs, char => {
+        if ('([{'.includes(char)) {
+            return depth++ === 0 ? char : ' ';
+        }
+        if (')]}'.includes(char)) {
+            return --depth === 0 ? char : ' ';
+        }
+        return depth > 0 ? ' ' : char;
+    });
+}
+
+// Splits on a separator (a global regex) outside brackets
+function splitTopLevel(text, separator) {
+    const parts = [];
+    let start = 0;
+    for (const match of topLevel(text).matchAll(separator)) {
+        parts.push(text.slice(start, match.index));
+        start = match.index + match[0].length;
+    }
+    parts.push(text.slice(start));
+    return parts.map(part => part.trim());
+}
+
+// Prompt section describing what the selected documents contain
+// schema: { entities: [{ type, labels, count, properties, examples }], relationships: [{ from, type, to, count }] }
+export function describeGraphSchema(schema) {
+    const entities = schema.entities.map(entity => {
+        const label = entity.labels.length > 0 ? `:Entity:${entity.labels.join(':')}` : ':Entity';
+        let line = `- type "${entity.type}" (${label}, ${entity.count} nodes)`;
+        if (entity.properties.length > 0) {
+            line += `, properties: ${entity.properties.join(', ')}`;
+        }
+        if (entity.examples.length > 0) {
+            line += `, e.g. ${entity.examples.map(example => JSON.stringify(example)).join(', ')}`;
+        }
+        return line;
+    });
+
+    const relationships = schema.relationships.map(rel =>
+        `- (${rel.from})-[:${rel.type}]->(${rel.to}) x ${rel.count}`);
+
+    return `Entity types:\n${entities.join('\n') || '- none'}\n\nRelationships between entity types:\n${relationships.join('\n') || '- none'}`;
+}
+
+// Asks the chat model for a query answering the question; retried with the problem when it is not valid.
+// previous: { query, error } of a query that failed to run
+export async function generateCypher(llm, question, schema, { maxRows = 100, previous = null } = {}) {
+    const messages = [
+        {
+            role: 'system',
+            content: `You translate questions into read-only Neo4j Cypher queries. Return ONLY a JSON object like {"query": "MATCH ... RETURN ..."}.
+
+The graph:
+(:Document {documentId, fileName, namespace})-[:HAS_CHUNK]->(:DocumentChunk {documentId, namespace, content, index})
+(:DocumentChunk)-[:APPEARS_IN]->(:Entity {text, type, documentId, namespace, ...properties})
+(:Entity)-[relationship {confidence, chunkIds}]->(:Entity)
+(:Entity)-[:SAME_AS]->(:CanonicalEntity {canonicalId, name, aliases}) links mentions of the same entity in different documents
+
+${describeGraphSchema(schema)}
+
+Rules:
+1. Read only: MATCH, OPTIONAL MATCH, WITH, UNWIND, WHERE, RETURN, ORDER BY, SKIP, LIMIT and CALL { } subqueries. No procedures, no UNION.
+2. Every node in a MATCH or OPTIONAL MATCH needs a variable and must be filtered by the WHERE of that same MATCH with v.namespace = $namespace AND v.documentId IN $documentIds, joined with AND, never OR (CanonicalEntity nodes only need v.namespace = $namespace). Variables passed on by WITH stay filtered. No other parameters exist.
+3. Use entity types, relationship types and properties from the lists above exactly as written.
+4. Compare names case-insensitively, e.g. toLower(e.text) CONTAINS toLower('germany').
+5. To count an entity mentioned in several documents once, count DISTINCT coalesce(ce.canonicalId, e.text) with OPTIONAL MATCH (e)-[:SAME_AS]->(ce:CanonicalEntity) WHERE ce.namespace = $namespace.
+6. Relationship patterns only in MATCH clauses (not in WHERE or RETURN), with no variable-length or quantified paths.
+7. Give every returned column a readable alias and return at most ${maxRows} rows.`
+        },
+        { role: 'user', content: `Question: ${question}` }
+    ];
+
+    if (previous) {
+        messages.push(
+            { role: 'assistant', content: JSON.stringify({ query: previous.query }) },
+            { role: 'user', content: `Running that query failed: ${previous.error}. Return a corrected query.` }
+        );
+    }
+
+    const { query } = await llm.requestJSON(messages, {
+        schema: QUERY_SCHEMA,
+        temperature: 0,
+        // An invalid query goes back to the model like malformed JSON
+        normalize: value => {
+            if (!value || typeof value.query !== 'string') {
+                return value;
+            }
+            try {
+                return { query: validateCypher(value.query, { maxRows }) };
+            } catch (error) {
+                throw new StructuredOutputError(`The query is not allowed: ${error.message}`, value.query);
+            }
+        }
+    });
+    return query;
+}
+
+// Query results as JSON-friendly values: integers as numbers, nodes and relationships as their
+// properties, without embeddings
+export function toPlainValue(value) {
+    if (neo4j.isInt(value)) {
+        return neo4j.integer.inSafeRange(value) ? value.toNumber() : value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlainValue);
+    }
+    if (value && typeof value === 'object') {
+        if (value instanceof neo4j.types.Node) {
+            return toPlainValue(withoutEmbeddings(value.properties));
+        }
+        if (value instanceof neo4j.types.Relationship) {
+            return { type: value.type, ...toPlainValue(withoutEmbeddings(value.properties)) };
+        }
+        if (value instanceof neo4j.types.Path) {
+            return value.segments.map(segment => ({
+                from: toPlainValue(segment.start),
+                relationship: toPlainValue(segment.relationship),
+                to: toPlainValue(segment.end)
+            }));
+        }
+        if (neo4j.isDate(value) || neo4j.isDateTime(value) || neo4j.isLocalDateTime(value)
+            || neo4j.isTime(value) || neo4j.isLocalTime(value) || neo4j.isDuration(value)) {
+            return value.toString();
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlainValue(item)]));
+    }
+    return value;
+}
+
+function withoutEmbeddings(properties) {
+    return Object.fromEntries(Object.entries(properties).filter(([key]) => !/embedding/i.test(key)));
+}
+
+// Query and rows for the answer prompt, one JSON object per row
+export function formatQueryResult({ query, rows, truncated }) {
+    let text = `Cypher query:\n${query}\n\nResult (${rows.length} row${rows.length === 1 ? '' : 's'}${truncated ? ', truncated' : ''}):\n`;
+    for (const row of rows) {
+        const line = `${JSON.stringify(row)}\n`;
+        if (text.length + line.length > MAX_RESULT_LENGTH) {
+            text += '...\n';
+            break;
+        }
+        text += line;
+    }
+    return rows.length === 0 ? `${text}(no rows)\n` : text;
+}
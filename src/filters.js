@@ -0,0 +1,187 @@
+import { toPropertyKey } from './naming.js';
+
+// Document metadata and the filters that select by it.
+//
+// Metadata is a flat object of strings, numbers, booleans, dates and lists of them:
+//     { author: 'Jane Doe', date: '2024-03-14', department: 'Legal', tags: ['board', 'minutes'] }
+// Each key is stored on the Document and its chunks as a list property with a `meta_` prefix
+// (meta_tags: ['board', 'minutes'], meta_author: ['Jane Doe']), so single and multiple values are
+// filtered the same way. Dates, as Date objects or ISO strings ('2024-03-14', '2024-03-14T09:30:00Z'),
+// are stored and compared as full UTC timestamps ('2024-03-14T00:00:00.000Z'), which compare in date
+// order whichever form they were given in.
+//
+// Filters use MongoDB-style operators:
+//     { department: 'Legal', date: { $gte: '2024-01-01', $lt: '2025-01-01' }, tags: { $in: ['board'] },
+//       $or: [{ author: 'Jane Doe' }, { author: 'John Roe' }] }
+// A plain value means $eq and a list means $in. Operators: $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte,
+// $exists, and $and, $or, $not to combine filters. Property names and values are always passed as
+// parameters, never written into the query.
+
+export const METADATA_PREFIX = 'meta_';
+
+const COMPARISONS = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+// A date, optionally with a time and a zone; without a zone the time is UTC
+const ISO_DATE = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?)?$/;
+const FIELD_OPERATORS = new Set(['$eq', '$ne', '$in', '$nin', '$exists', ...Object.keys(COMPARISONS)]);
+
+// Validates metadata; returns { metadata, properties } with dates as UTC timestamps and the properties
+// to store, or null when there is none
+export function normalizeMetadata(metadata) {
+    if (metadata == null) {
+        return null;
+    }
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new Error('metadata must be an object');
+    }
+
+    const normalized = {};
+    const properties = {};
+    for (const [name, value] of Object.entries(metadata)) {
+        const key = toPropertyKey(name);
+        if (!key) {
+            throw new Error(`metadata key "${name}" has no usable characters`);
+        }
+        if (value == null) {
+            continue;
+        }
+
+        const values = (Array.isArray(value) ? value : [value]).map(item => toScalar(item, `metadata.${name}`));
+        if (new Set(values.map(item => typeof item)).size > 1) {
+            throw new Error(`metadata.${name} must not mix types`);
+        }
+        if (values.length === 0) {
+            continue;
+        }
+
+        normalized[key] = Array.isArray(value) ? values : values[0];
+        properties[`${METADATA_PREFIX}${key}`] = values;
+    }
+
+    return Object.keys(normalized).length > 0 ? { metadata: normalized, properties } : null;
+}
+
+// Compiles a filter into a Cypher predicate over the node bound to `variable`.
+// Returns { cypher, params }; parameter names start with `prefix`.
+export function compileFilter(filter, variable, prefix = 'filter') {
+    const params = {};
+    const cypher = filter == null ? 'true' : compileExpression(filter, { variable, prefix, params, path: 'filter' });
+    return { cypher, params };
+}
+
+function compileExpression(filter, context) {
+    if (typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new Error(`${context.path} must be an object`);
+    }
+
+    const clauses = Object.entries(filter).map(([key, value]) => {
+        const path = `${context.path}.${key}`;
+        switch (key) {
+            case '$and':
+            case '$or': {
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw new Error(`${path} must be a non-empty list of filters`);
+                }
+                const parts = value.map((item, i) => compileExpression(item, { ...context, path: `${path}[${i}]` }));
+                return `(${parts.join(key === '$and' ? ' AND ' : ' OR ')})`;
+            }
+            case '$not':
+                return `NOT ${compileExpression(value, { ...context, path })}`;
+            default:
+                if (key.startsWith('$')) {
+                    throw new Error(`Unknown filter operator ${key}`);
+                }
+                return compileField(key, value, { ...context, path });
+        }
+    });
+
+    return clauses.length > 0 ? `(${clauses.join(' AND ')})` : 'true';
+}
+
+function compileField(name, condition, context) {
+    const key = toPropertyKey(name);
+    if (!key) {
+        throw new Error(`${context.path} is not a valid metadata key`);
+    }
+
+    const param = value => {
+        const id = `${context.prefix}_${Object.keys(context.params).length}`;
+        context.params[id] = value;
+        return `$${id}`;
+    };
+    const values = `coalesce(${context.variable}[${param(`${METADATA_PREFIX}${key}`)}], [])`;
+
+    const operators = condition !== null && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date)
+        ? condition
+        : { [Array.isArray(condition) ? '$in' : '$eq']: condition };
+
+    const clauses = [];
+    const bounds = [];
+    for (const [operator, operand] of Object.entries(operators)) {
+        const path = `${context.path}.${operator}`;
+        if (!FIELD_OPERATORS.has(operator)) {
+            throw new Error(`Unknown filter operator ${operator} in ${context.path}`);
+        }
+
+        switch (operator) {
+            case '$eq':
+                clauses.push(`${param(toScalar(operand, path))} IN ${values}`);
+                break;
+            case '$ne':
+                clauses.push(`NOT ${param(toScalar(operand, path))} IN ${values}`);
+                break;
+            case '$in':
+            case '$nin': {
+                if (!Array.isArray(operand)) {
+                    throw new Error(`${path} must be a list`);
+                }
+                const list = param(operand.map(item => toScalar(item, path)));
+                clauses.push(`${operator === '$in' ? 'any' : 'none'}(value IN ${values} WHERE value IN ${list})`);
+                break;
+            }
+            case '$exists':
+                clauses.push(operand ? `size(${values}) > 0` : `size(${values}) = 0`);
+                break;
+            default:
+                bounds.push(`value ${COMPARISONS[operator]} ${param(toScalar(operand, path))}`);
+        }
+    }
+
+    // All bounds must hold for the same value, so a list field matches a range only through one of its values
+    if (bounds.length > 0) {
+        clauses.push(`any(value IN ${values} WHERE ${bounds.join(' AND ')})`);
+    }
+    if (clauses.length === 0) {
+        throw new Error(`${context.path} has no conditions`);
+    }
+    return clauses.length === 1 ? clauses[0] : `(${clauses.join(' AND ')})`;
+}
+
+function toScalar(value, path) {
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) {
+            throw new Error(`${path} is an invalid date`);
+        }
+        return value.toISOString();
+    }
+    if (typeof value === 'string' && ISO_DATE.test(value.trim())) {
+        return toTimestamp(value.trim(), path);
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+        throw new Error(`${path} must be a finite number`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new Error(`${path} must be a string, number, boolean or date`);
+    }
+    return value;
+}
+
+// '2024-03-14' and '2024-03-14T09:30+01:00' as '2024-03-14T00:00:00.000Z' and '2024-03-14T08:30:00.000Z'
+function toTimestamp(text, path) {
+    const [, day, time = '00:00', zone = 'Z'] = text.match(ISO_DATE);
+    const date = new Date(`${day}T${time}${zone.replace(/^([+-]\d{2})(\d{2})$/, '$1:$2')}`);
+    // Date rolls 2024-02-30 over into March instead of failing
+    if (Number.isNaN(date.getTime()) || (zone === 'Z' && !date.toISOString().startsWith(day))) {
+        throw new Error(`${path} is an invalid date: ${text}`);
+    }
+    return date.toISOString();
+}
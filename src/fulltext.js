@@ -0,0 +1,51 @@
+// Helpers for querying the chunk_content full-text (Lucene) index
+
+export const FULLTEXT_INDEX_NAME = 'chunk_content';
+
+export const TEXT_SEARCH_MODES = ['terms', 'fuzzy', 'phrase'];
+
+// The default Neo4j analyzer keeps stopwords, so drop them before querying
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'did', 'do', 'does',
+    'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it',
+    'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'so', 'such', 'that',
+    'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to',
+    'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'whom', 'why',
+    'will', 'with', 'you', 'your'
+]);
+
+// Characters with special meaning in Lucene query syntax
+const LUCENE_SPECIAL = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+
+export function escapeLucene(value) {
+    return String(value).replace(LUCENE_SPECIAL, '\\$&');
+}
+
+// Whitespace-separated words without surrounding punctuation; punctuation inside a word is kept
+// so names like "AT&T" or "U.S." stay whole (escapeLucene() makes them safe to query)
+export function extractSearchTerms(text) {
+    const words = String(text).toLowerCase().split(/\s+/)
+        .map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''));
+    return [...new Set(words.filter(word => word.length > 1 && !STOPWORDS.has(word)))];
+}
+
+// Returns null when the question has nothing worth searching for
+export function buildFulltextQuery(text, mode = 'terms') {
+    if (!TEXT_SEARCH_MODES.includes(mode)) {
+        throw new Error(`Unknown text search mode: ${mode} (expected one of ${TEXT_SEARCH_MODES.join(', ')})`);
+    }
+
+    if (mode === 'phrase') {
+        const phrase = String(text).trim().replace(/[\\"]/g, '\\$&');
+        return phrase ? `"${phrase}"` : null;
+    }
+
+    const terms = extractSearchTerms(text);
+    if (terms.length === 0) {
+        return null;
+    }
+
+    return terms
+        .map(term => escapeLucene(term) + (mode === 'fuzzy' ? '~' : ''))
+        .join(' ');
+}
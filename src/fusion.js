@@ -0,0 +1,69 @@
+// Merges ranked result lists from the individual search strategies into one ranking
+
+export const FUSION_METHODS = ['rrf', 'minmax'];
+
+// Scale scores to 0..1 within one result list; equal scores all become 1
+export function minMaxNormalize(results) {
+    const scores = results.map(r => Number(r.score) || 0);
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+
+    return results.map((result, i) => ({
+        ...result,
+        normalizedScore: max > min ? (scores[i] - min) / (max - min) : 1
+    }));
+}
+
+// Each result set is { strategy, weight, results } with results already ordered best first
+export function fuseResults(resultSets, options = {}) {
+    const { method = 'rrf', rrfK = 60 } = options;
+
+    if (!FUSION_METHODS.includes(method)) {
+        throw new Error(`Unknown fusion method: ${method} (expected one of ${FUSION_METHODS.join(', ')})`);
+    }
+
+    const fused = new Map();
+
+    for (const { strategy, weight = 1, results = [] } of resultSets) {
+        const ranked = [...results]
+            .sort((a, b) => (Number(b.score) || 0) - (Number(a.score) || 0));
+        const normalized = minMaxNormalize(ranked);
+
+        normalized.forEach((result, rank) => {
+            const key = `${result.documentId}\u0000${result.content}`;
+            let entry = fused.get(key);
+            if (!entry) {
+                entry = {
+                    content: result.content,
+                    documentId: result.documentId,
+                    score: 0,
+                    scores: {},
+                    entities: [],
+                    relationships: []
+                };
+                fused.set(key, entry);
+            }
+
+            // Keep any extra chunk fields (index, chunkId, ...) from whichever strategy has them
+            for (const [field, value] of Object.entries(result)) {
+                if (!(field in entry) && !['score', 'normalizedScore', 'weight'].includes(field)) {
+                    entry[field] = value;
+                }
+            }
+
+            entry.scores[strategy] = result.score;
+            entry.score += method === 'rrf'
+                ? weight / (rrfK + rank + 1)
+                : weight * result.normalizedScore;
+
+            if (result.entities?.length) {
+                entry.entities.push(...result.entities);
+            }
+            if (result.relationships?.length) {
+                entry.relationships.push(...result.relationships);
+            }
+        });
+    }
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
@@ -1,21 +1,51 @@
 import neo4j from 'neo4j-driver';
 
 import { LLMService } from './llm.js';
+import { FULLTEXT_INDEX_NAME } from './fulltext.js';
+import { fuseResults } from './fusion.js';
+import { resolveReranker } from './rerank.js';
+import { buildSources, buildCommunitySources, buildQuerySource, createCitedAnswer } from './citations.js';
+import { resolveConversationStore, trimHistory } from './conversations.js';
+import { createLoaderRegistry } from './loaders.js';
+import { chunkText } from './chunking.js';
+import { resolveCache, hashContent, Neo4jCache } from './cache.js';
+import { DEFAULT_NAMESPACE, assertNamespace, mappedDatabases, resolveDatabase } from './namespaces.js';
+import { IngestionJob, createLimiter, runWithConcurrency, withRetry } from './pipeline.js';
+import { EntityResolver, normalizeEntityType } from './resolution.js';
+import { normalizeOntology } from './ontology.js';
+import { detectCommunities, summarizeCommunity, mapCommunities } from './communities.js';
+import { generateCypher, toPlainValue, formatQueryResult } from './cypher.js';
+import { resolveRouter, planRoute } from './router.js';
+import { normalizeMetadata, compileFilter, METADATA_PREFIX } from './filters.js';
+import { DEFAULT_PROMPTS, resolvePrompts, normalizePrompts, pickExtractionPrompts, resolveAnswerStyle } from './prompts.js';
 import { v4 as uuidv4 } from 'uuid';
-import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
 
 // Core relationship types
 const CORE_RELATIONSHIPS = {
     HAS_CHUNK: 'HAS_CHUNK'
 };
 
-// Core node labels
+// Vector index over chunk embeddings
+const VECTOR_INDEX_NAME = 'chunk_embedding';
+
+// Finished ingestion jobs kept in memory for the status API
+const JOB_HISTORY_LIMIT = 100;
+
+// Core node labels; cleanup() deletes only these
 const NODE_LABELS = {
     DOCUMENT: 'Document',
     DOCUMENT_CHUNK: 'DocumentChunk',
-    ENTITY: 'Entity'
+    ENTITY: 'Entity',
+    CANONICAL_ENTITY: 'CanonicalEntity',
+    COMMUNITY: 'Community',
+    CONVERSATION: 'Conversation',
+    MESSAGE: 'Message',
+    CACHE_ENTRY: 'CacheEntry'
 };
 
+// Nodes deleted or updated per transaction, so large graphs don't exhaust the server's memory
+const BATCH_SIZE = 10000;
+
 export class DocuGraphRAG {
     constructor(config = {}) {
         this.config = {
@@ -23,13 +53,106 @@ export class DocuGraphRAG {
             neo4jUser: 'neo4j',
             neo4jPassword: 'password',
             openaiApiKey: '',
+            // Workspace/tenant stamped on every node; see withNamespace()
+            namespace: DEFAULT_NAMESPACE,
+            // Neo4j database: null for the server default, a name, or (namespace) => name
+            database: null,
+            // Provider instance or config for createProvider(); defaults to OpenAI
+            provider: null,
+            // Chunking: 'recursive', 'markdown', 'sentence', 'token' or 'semantic'
+            chunkingStrategy: 'recursive',
             chunkSize: 1000,
             chunkOverlap: 200,
-            searchLimit: 3,
+            // Number of fused chunks passed to the answer prompt
+            searchLimit: 5,
             debug: false,
+            // Vector search: native index when available, Cypher scan otherwise
+            useVectorIndex: true,
+            embeddingDimensions: null, // defaults to the provider's embedding size
+            similarityThreshold: 0.1,
+            vectorSearchTopK: 5,
+            // Full-text search: 'terms', 'fuzzy' or 'phrase'
+            textSearchMode: 'terms',
+            textSearchTopK: 5,
             vectorSearchWeight: 0.4,
             textSearchWeight: 0.3,
             graphSearchWeight: 0.3,
+            // Result fusion: 'rrf' (reciprocal rank fusion) or 'minmax' (normalized weighted sum)
+            fusionMethod: 'rrf',
+            rrfK: 60,
+            // null, 'llm', a function or an object with rerank(question, chunks)
+            reranker: null,
+            rerankCandidates: 20,
+            // Conversation history: 'memory', 'neo4j' or a store object
+            conversationStore: 'memory',
+            // Limits of the in-memory store: least recently used conversations beyond maxConversations
+            // are dropped, and each keeps its latest conversationMaxMessages messages
+            maxConversations: 1000,
+            conversationMaxMessages: 200,
+            historyTokenBudget: 2000,
+            rewriteQuestions: true,
+            // Question routing for chat(): null runs the searches the caller asks for; 'rules' (keywords,
+            // no model call), 'llm', a function or an object with route(question) picks the chat mode,
+            // searches and weights per question, see src/router.js. routes overrides a category's route.
+            router: null,
+            routes: {},
+            // Times a malformed JSON reply is sent back to the model for correction
+            structuredOutputRetries: 2,
+            // Ingestion: documents run as background jobs, chunks are processed in parallel
+            // and rate limits and server errors are retried
+            maxConcurrentJobs: 2,
+            ingestionConcurrency: 4,
+            maxRetries: 3,
+            retryBaseDelay: 1000,
+            retryMaxDelay: 30000,
+            // Retries inside the provider's own client (the OpenAI SDK), on top of the ones above;
+            // off so a failing chunk isn't retried on both layers
+            providerRetries: 0,
+            // Embedding and extraction cache: 'memory', 'file', 'neo4j', false or a cache object
+            cache: 'memory',
+            cacheMaxEntries: 10000,
+            cacheDirectory: '.docugraphrag-cache',
+            // Re-uploading a processed file: 'reuse' the existing document or 'process' it again
+            duplicateUploads: 'reuse',
+            // Allowed entity labels and relationship types for extraction, see src/ontology.js;
+            // null extracts free-form. processDocument() can pass its own.
+            ontology: null,
+            // Secondary label per entity type, e.g. (:Entity:Person); relationship types are always
+            // written in UPPER_SNAKE_CASE, see src/naming.js
+            entityLabels: true,
+            // Entity resolution: link mentions of the same entity across documents, see src/resolution.js.
+            // Name pairs scoring between the two thresholds are merged only if the chat model agrees
+            // (resolutionReview), otherwise kept apart.
+            entityResolution: true,
+            resolutionThreshold: 0.88,
+            resolutionReviewThreshold: 0.75,
+            resolutionReview: false,
+            resolutionEmbeddings: true,
+            // Communities for global search, see buildCommunities(). 'auto' uses Leiden from the
+            // Neo4j Graph Data Science plugin when it is installed and the built-in Louvain otherwise.
+            communityAlgorithm: 'auto',
+            communityResolution: 1,
+            communityMinSize: 2,
+            // Global search: communities read per question, characters of summaries per model
+            // request and points kept for the answer
+            globalSearchCommunities: 50,
+            globalSearchBatchSize: 8000,
+            globalSearchPoints: 20,
+            // Cypher mode: the chat model writes a read-only query over the selected documents' entity
+            // graph, see src/cypher.js. Queries that fail to run are sent back for correction cypherRetries times.
+            cypherMaxRows: 100,
+            cypherTimeout: 10000,
+            cypherRetries: 1,
+            // Prompt templates by name, replacing the defaults in src/prompts.js. Answers are written in
+            // answerStyle ('default', 'no-emoji', 'concise', 'detailed', 'json' or { instructions, request,
+            // temperature }), in answerLanguage when set ('auto' follows the question) and at the style's
+            // temperature unless answerTemperature is set. chat() can override each per call.
+            prompts: {},
+            answerStyle: 'default',
+            answerLanguage: null,
+            answerTemperature: null,
+            // Extra document loaders, see src/loaders.js
+            loaders: [],
             ...config,
         };
 
@@ -37,7 +160,38 @@ export class DocuGraphRAG {
         this.initialized = false;
         this.driver = null;
 
+        // Tenant scope, see withNamespace()
+        this.root = this;
+        this.namespace = assertNamespace(this.config.namespace);
+        this.database = resolveDatabase(this.config.database, this.namespace);
+        this.scopes = new Map();
+        this.preparedDatabases = new Map();
+
         this.llm = null;
+        this.jobs = new Map();
+        this.ingestionSlots = createLimiter(this.config.maxConcurrentJobs);
+        // One resolution at a time, so concurrent documents don't create the same canonical entity twice
+        this.resolutionSlots = createLimiter(1);
+        this.communitySlots = createLimiter(1);
+        this.loaders = createLoaderRegistry(this.config.loaders);
+        this.ontology = normalizeOntology(this.config.ontology);
+        this.prompts = resolvePrompts(DEFAULT_PROMPTS, this.config.prompts);
+        resolveAnswerStyle(this.config.answerStyle);
+        this.cache = resolveCache(this.config.cache, {
+            runQuery: (query, params) => this.runQuery(query, params),
+            maxEntries: this.config.cacheMaxEntries,
+            directory: this.config.cacheDirectory,
+            namespace: this.namespace
+        });
+        this.conversations = resolveConversationStore(
+            this.config.conversationStore,
+            (query, params) => this.runQuery(query, params),
+            {
+                namespace: this.namespace,
+                maxConversations: this.config.maxConversations,
+                maxMessages: this.config.conversationMaxMessages
+            }
+        );
     }
 
     async initialize() {
@@ -57,60 +211,235 @@ export class DocuGraphRAG {
             // Initialize LLM service
             this.llm = new LLMService({
                 openaiApiKey: this.config.openaiApiKey,
+                provider: this.config.provider,
+                cache: this.cache,
+                namespace: this.namespace,
+                database: this.database,
                 driver: this.driver,
-                debug: this.config.debug
+                debug: this.config.debug,
+                embeddingDimensions: this.config.embeddingDimensions,
+                similarityThreshold: this.config.similarityThreshold,
+                vectorSearchTopK: this.config.vectorSearchTopK,
+                textSearchMode: this.config.textSearchMode,
+                textSearchTopK: this.config.textSearchTopK,
+                structuredOutputRetries: this.config.structuredOutputRetries,
+                providerRetries: this.config.providerRetries,
+                entityLabels: this.config.entityLabels,
+                prompts: this.prompts
             });
 
             // Create basic indexes
-            const session = this.driver.session();
-            try {
-                // Create each index in a separate transaction
-                await session.executeWrite(tx =>
-                    tx.run(`CREATE INDEX document_id IF NOT EXISTS FOR (d:Document) ON (d.documentId)`)
-                );
+            this.llm.vectorIndex = await this.createSchema(this.database);
+            this.preparedDatabases.set(this.database, Promise.resolve());
 
-                await session.executeWrite(tx =>
-                    tx.run(`CREATE INDEX chunk_id IF NOT EXISTS FOR (c:DocumentChunk) ON (c.documentId, c.chunkId)`)
-                );
+            await this.assignDefaultNamespace();
 
-                await session.executeWrite(tx =>
-                    tx.run(`CREATE INDEX entity_text_type IF NOT EXISTS FOR (e:Entity) ON (e.text, e.type)`)
-                );
+            this.initialized = true;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Indexes for one database; returns the vector index name, or null without one
+    async createSchema(database = null) {
+        const session = this.driver.session(database ? { database } : {});
+        try {
+            // Create each index in a separate transaction
+            await session.executeWrite(tx =>
+                tx.run(`CREATE INDEX document_id IF NOT EXISTS FOR (d:Document) ON (d.documentId)`)
+            );
+
+            await session.executeWrite(tx =>
+                tx.run(`CREATE INDEX document_namespace IF NOT EXISTS FOR (d:Document) ON (d.namespace)`)
+            );
+
+            await session.executeWrite(tx =>
+                tx.run(`CREATE INDEX document_file_hash IF NOT EXISTS FOR (d:Document) ON (d.fileHash)`)
+            );
+
+            await session.executeWrite(tx =>
+                tx.run(`CREATE INDEX cache_entry_key IF NOT EXISTS FOR (e:CacheEntry) ON (e.key)`)
+            );
+
+            await session.executeWrite(tx =>
+                tx.run(`CREATE INDEX chunk_id IF NOT EXISTS FOR (c:DocumentChunk) ON (c.documentId, c.chunkId)`)
+            );
+
+            await session.executeWrite(tx =>
+                tx.run(`CREATE INDEX entity_text_type IF NOT EXISTS FOR (e:Entity) ON (e.text, e.type)`)
+            );
+
+            await session.executeWrite(tx =>
+                tx.run(`CREATE INDEX canonical_entity_id IF NOT EXISTS FOR (ce:CanonicalEntity) ON (ce.canonicalId)`)
+            );
 
-                await session.executeWrite(tx =>
-                    tx.run(`CREATE FULLTEXT INDEX chunk_content IF NOT EXISTS FOR (c:DocumentChunk) ON EACH [c.content]`)
+            await session.executeWrite(tx =>
+                tx.run(`CREATE INDEX canonical_entity_type IF NOT EXISTS FOR (ce:CanonicalEntity) ON (ce.namespace, ce.type)`)
+            );
+
+            await session.executeWrite(tx =>
+                tx.run(`CREATE INDEX community_id IF NOT EXISTS FOR (c:Community) ON (c.communityId)`)
+            );
+
+            await session.executeWrite(tx =>
+                tx.run(`CREATE FULLTEXT INDEX ${FULLTEXT_INDEX_NAME} IF NOT EXISTS FOR (c:DocumentChunk) ON EACH [c.content]`)
+            );
+
+            return this.config.useVectorIndex ? await this.createVectorIndex(session) : null;
+        } finally {
+            await session.close();
+        }
+    }
+
+    // A namespace on its own database gets the same indexes the first time it is used
+    async prepareDatabase(database) {
+        if (!this.preparedDatabases.has(database)) {
+            this.preparedDatabases.set(database, this.createSchema(database).catch(error => {
+                this.preparedDatabases.delete(database);
+                throw error;
+            }));
+        }
+        await this.preparedDatabases.get(database);
+    }
+
+    // Nodes written before namespaces existed belong to the default namespace
+    async assignDefaultNamespace() {
+        for (const label of Object.values(NODE_LABELS)) {
+            let updated;
+            do {
+                const result = await this.runQuery(
+                    `MATCH (n:${label}) WHERE n.namespace IS NULL
+                     WITH n LIMIT $batchSize
+                     SET n.namespace = $defaultNamespace
+                     RETURN count(*) AS updated`,
+                    { batchSize: neo4j.int(BATCH_SIZE), defaultNamespace: DEFAULT_NAMESPACE }
                 );
+                updated = result.records[0].get('updated').toNumber();
+            } while (updated === BATCH_SIZE);
+        }
+    }
 
+    // A view of this instance for one tenant. It shares the connection, provider, loaders and
+    // ingestion queue, but every node it writes, query it runs, cache key and job is scoped to
+    // the namespace, and to the namespace's database when config.database maps one.
+    withNamespace(namespace) {
+        const root = this.root;
+        assertNamespace(namespace);
+        if (namespace === root.namespace) {
+            return root;
+        }
 
+        if (!root.scopes.has(namespace)) {
+            root.scopes.set(namespace, root.createScope(namespace));
+        }
+        return root.scopes.get(namespace);
+    }
 
-            } finally {
-                await session.close();
+    createScope(namespace) {
+        const root = this;
+        const scoped = Object.create(root);
+        const runQuery = (query, params) => scoped.runQuery(query, params);
+
+        scoped.namespace = namespace;
+        scoped.database = resolveDatabase(root.config.database, namespace);
+        // Memory and file caches are shared, their keys include the namespace
+        scoped.cache = root.config.cache === 'neo4j' ? new Neo4jCache(runQuery, { namespace }) : root.cache;
+        scoped.conversations = resolveConversationStore(root.config.conversationStore, runQuery, {
+            namespace,
+            maxConversations: root.config.maxConversations,
+            maxMessages: root.config.conversationMaxMessages
+        });
+
+        let llm = null;
+        Object.defineProperty(scoped, 'llm', {
+            get() {
+                if (!root.llm) {
+                    return null;
+                }
+                if (!llm || Object.getPrototypeOf(llm) !== root.llm) {
+                    llm = root.llm.withScope({
+                        namespace,
+                        database: scoped.database,
+                        cache: scoped.cache,
+                        prepare: scoped.database ? () => root.prepareDatabase(scoped.database) : null
+                    });
+                }
+                return llm;
             }
+        });
 
-            this.initialized = true;
+        // The connection belongs to the root instance; cleanup only clears this namespace
+        scoped.initialize = () => root.initialize();
+        scoped.close = () => root.close();
+        scoped.cleanup = () => scoped.clearNamespace();
+        return scoped;
+    }
+
+    // Returns the index name, or null when the server has no vector index support
+    async createVectorIndex(session) {
+        const dimensions = this.config.embeddingDimensions || this.llm.provider.embeddingDimensions;
+        if (!Number.isInteger(dimensions) || dimensions <= 0) {
+            console.warn('⚠️ Unknown embedding dimensions, using Cypher vector search');
+            return null;
+        }
+
+        try {
+            // Index options cannot be parameterized, dimensions is validated above
+            await session.executeWrite(tx =>
+                tx.run(`
+                    CREATE VECTOR INDEX ${VECTOR_INDEX_NAME} IF NOT EXISTS
+                    FOR (c:DocumentChunk) ON (c.embedding)
+                    OPTIONS { indexConfig: {
+                        \`vector.dimensions\`: ${dimensions},
+                        \`vector.similarity_function\`: 'cosine'
+                    } }
+                `)
+            );
+
+            const result = await session.run(
+                'SHOW INDEXES YIELD name, options WHERE name = $name RETURN options',
+                { name: VECTOR_INDEX_NAME }
+            );
+            const existing = result.records[0]?.get('options')?.indexConfig?.['vector.dimensions'];
+            if (existing != null && Number(existing) !== dimensions) {
+                console.warn(`⚠️ Vector index ${VECTOR_INDEX_NAME} has ${existing} dimensions but embeddings have ${dimensions}, using Cypher vector search`);
+                return null;
+            }
+
+            return VECTOR_INDEX_NAME;
         } catch (error) {
-            throw error;
+            // Neo4j < 5.11 has no CREATE VECTOR INDEX
+            console.warn('⚠️ Vector index not available, using Cypher vector search:', error.message);
+            return null;
         }
     }
 
-    async splitText(text, chunkSize = 1000) {
-        const splitter = new RecursiveCharacterTextSplitter({
-            chunkSize: chunkSize,
+    // options: { strategy, chunkSize, chunkOverlap, pages, headings, ... }, see chunkText()
+    async splitText(text, options = {}) {
+        return chunkText(text, {
+            strategy: this.config.chunkingStrategy,
+            chunkSize: this.config.chunkSize,
             chunkOverlap: this.config.chunkOverlap,
-            separators: ["\n\n", "\n", ". ", " ", ""]
+            ...options
+        }, {
+            embed: chunk => this.llm.generateEmbedding(chunk)
         });
-
-        const docs = await splitter.createDocuments([text]);
-        return docs.map(doc => ({
-            pageContent: doc.pageContent,
-            metadata: { start: 0, end: doc.pageContent.length }
-        }));
     }
 
-    async runQuery(query, params) {
-        const session = this.driver.session();
+    // Runs in this instance's database with $namespace bound
+    // options.readOnly runs the query in a read session, options.timeout (ms) aborts it server-side,
+    // options.database runs it in another database
+    async runQuery(query, params = {}, { readOnly = false, timeout = null, database = this.database } = {}) {
+        if (database) {
+            await this.prepareDatabase(database);
+        }
+
+        const session = this.driver.session({
+            ...(database ? { database } : {}),
+            ...(readOnly ? { defaultAccessMode: neo4j.session.READ } : {})
+        });
         try {
-            const result = await session.run(query, params);
+            const result = await session.run(query, { namespace: this.namespace, ...params }, timeout ? { timeout } : {});
             return result;
         } catch (error) {
             throw error;
@@ -119,73 +448,750 @@ export class DocuGraphRAG {
         }
     }
 
-    async processDocument(text, analysisDescription, fileName) {
-        console.log('📄 Processing document...');
-        if (!text || typeof text !== 'string') {
-            throw new Error('Text input is required and must be a string');
+    // Extracts normalized text and structure (pages, headings) from a file buffer
+    async loadDocument(buffer, { mimeType, fileName } = {}) {
+        return this.loaders.load(buffer, { mimeType, fileName });
+    }
+
+    // input: raw text, or a Buffer/Uint8Array with options.mimeType (or a fileName extension),
+    // or { buffer, mimeType }
+    // Resolves once the document is fully ingested; options.onProgress(event) receives progress events
+    async processDocument(input, analysisDescription, fileName, options = {}) {
+        const job = this.ingestDocument(input, analysisDescription, fileName, options);
+        if (options.onProgress) {
+            job.on('progress', options.onProgress);
+        }
+        return job.done;
+    }
+
+    // Queues ingestion and returns the IngestionJob right away, see getJob() and src/pipeline.js
+    ingestDocument(input, analysisDescription, fileName, options = {}) {
+        const ontology = options.ontology !== undefined ? normalizeOntology(options.ontology) : this.ontology;
+        const metadata = normalizeMetadata(options.metadata);
+        // Per-document extraction prompts are stored with the document, like the ontology
+        const prompts = pickExtractionPrompts(options.prompts);
+        // The documentId is provisional until job.registered, a duplicate upload replaces it
+        const job = this.trackJob(new IngestionJob(uuidv4(), uuidv4(), { fileName, namespace: this.namespace, registered: false }));
+        job.done = this.runIngestion(job, input, analysisDescription, fileName, { ...options, ontology, metadata, prompts });
+        // Callers may only listen to events; failures are still reported through them
+        job.done.catch(() => {});
+        return job;
+    }
+
+    // Finishes an interrupted document: chunks that were already embedded are not embedded again
+    resumeDocument(documentId) {
+        const active = this.findActiveJob(documentId);
+        if (active) {
+            return active;
+        }
+
+        const job = this.trackJob(new IngestionJob(uuidv4(), documentId, { resumed: true, namespace: this.namespace }));
+        job.done = this.runResume(job);
+        job.done.catch(() => {});
+        return job;
+    }
+
+    // Re-indexes a document from new content; only chunks whose text changed are embedded and extracted again
+    async updateDocument(documentId, input, options = {}) {
+        const job = this.ingestDocumentUpdate(documentId, input, options);
+        if (options.onProgress) {
+            job.on('progress', options.onProgress);
+        }
+        return job.done;
+    }
+
+    // Background variant of updateDocument(), returns the IngestionJob
+    ingestDocumentUpdate(documentId, input, options = {}) {
+        if (this.findActiveJob(documentId)) {
+            throw new Error(`Document ${documentId} is still being ingested`);
         }
 
-        const documentId = uuidv4();
+        // undefined keeps the document's ontology, null switches to free-form extraction
+        if (options.ontology !== undefined) {
+            options = { ...options, ontology: normalizeOntology(options.ontology) };
+        }
+        // Same for metadata and extraction prompts: undefined keeps them, null clears them
+        if (options.metadata !== undefined) {
+            options = { ...options, metadata: normalizeMetadata(options.metadata) };
+        }
+        if (options.prompts !== undefined) {
+            options = { ...options, prompts: pickExtractionPrompts(options.prompts) };
+        }
+
+        const job = this.trackJob(new IngestionJob(uuidv4(), documentId, { fileName: options.fileName ?? null, namespace: this.namespace }));
+        job.done = this.runUpdate(job, input, options);
+        job.done.catch(() => {});
+        return job;
+    }
+
+    async getDocumentHistory(documentId) {
+        const result = await this.runQuery(
+            `MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+             RETURN coalesce(d.version, 1) AS version, coalesce(d.history, []) AS history`,
+            { documentId }
+        );
+
+        if (result.records.length === 0) {
+            return null;
+        }
+
+        const version = result.records[0].get('version');
+        return {
+            documentId,
+            version: neo4j.isInt(version) ? version.toNumber() : version,
+            history: result.records[0].get('history').map(entry => JSON.parse(entry))
+        };
+    }
+
+    // Resumes every document left queued or processing, e.g. by a restart mid-ingestion
+    async resumeIncompleteDocuments() {
+        const result = await this.runQuery(
+            `MATCH (d:Document {namespace: $namespace}) WHERE d.status IN ['queued', 'processing'] RETURN d.documentId AS documentId`
+        );
+
+        return result.records
+            .map(record => record.get('documentId'))
+            .filter(documentId => !this.findActiveJob(documentId))
+            .map(documentId => this.resumeDocument(documentId));
+    }
+
+    // Jobs are shared by all namespaces in this process; each namespace only sees its own
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        return job && job.namespace === this.namespace ? job.toJSON() : null;
+    }
+
+    listJobs() {
+        return [...this.jobs.values()]
+            .filter(job => job.namespace === this.namespace)
+            .map(job => job.toJSON());
+    }
+
+    // Chunk counts by status, so interrupted ingestion can be spotted after a restart
+    async getDocumentStatus(documentId) {
+        const result = await this.runQuery(`
+            MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+            OPTIONAL MATCH (d)-[:HAS_CHUNK]->(c:DocumentChunk)
+            WITH d, coalesce(c.status, CASE WHEN c.hasEntities THEN 'extracted' ELSE 'pending' END) AS chunkStatus, count(c) AS count
+            RETURN d.fileName AS fileName, d.status AS status, d.error AS error,
+                   collect({status: chunkStatus, count: count}) AS chunks
+        `, { documentId });
+
+        if (result.records.length === 0) {
+            return null;
+        }
+
+        const record = result.records[0];
+        const chunks = { pending: 0, embedded: 0, extracted: 0, failed: 0 };
+        for (const { status, count } of record.get('chunks')) {
+            chunks[status] = (chunks[status] || 0) + (neo4j.isInt(count) ? count.toNumber() : count);
+        }
+        const chunkCount = Object.values(chunks).reduce((sum, count) => sum + count, 0);
+
+        return {
+            documentId,
+            fileName: record.get('fileName'),
+            status: record.get('status'),
+            error: record.get('error'),
+            chunkCount,
+            chunks,
+            incompleteChunks: chunkCount - chunks.extracted,
+            jobId: this.findActiveJob(documentId)?.jobId ?? null
+        };
+    }
+
+    trackJob(job) {
+        this.jobs.set(job.jobId, job);
+
+        // Forget the oldest finished jobs; their documents keep the final status
+        const finished = [...this.jobs.values()].filter(tracked => tracked.finished);
+        finished.slice(0, Math.max(0, finished.length - JOB_HISTORY_LIMIT))
+            .forEach(tracked => this.jobs.delete(tracked.jobId));
+
+        return job;
+    }
+
+    findActiveJob(documentId) {
+        return [...this.jobs.values()]
+            .find(job => job.documentId === documentId && job.namespace === this.namespace && !job.finished) || null;
+    }
+
+    async runIngestion(job, input, analysisDescription, fileName, options) {
+        const { documentId } = job;
+        // options.metadata is the user's, the loader's metadata comes from resolveDocumentInput()
+        const { ontology, metadata: documentMetadata, prompts } = options;
+        console.log('📄 Processing document...');
 
         try {
+            // Same file with the same analysis focus and ontology: point at the existing graph instead of rebuilding it
+            const fileHash = hashContent(documentBytes(input));
+            if ((options.duplicates ?? this.config.duplicateUploads) === 'reuse') {
+                const existing = await this.findDuplicateDocument(fileHash, analysisDescription, ontology, documentMetadata, prompts);
+                if (existing) {
+                    return this.reuseDocument(job, existing);
+                }
+            }
+
+            // The analysis description, ontology and prompts are kept so an interrupted run can be resumed.
+            // Metadata is kept as JSON and as meta_ properties for filtering, see src/filters.js
+            const created = new Date().toISOString();
             await this.runQuery(
-                'CREATE (d:Document {documentId: $documentId, fileName: $fileName, created: $created, status: $status})',
-                { documentId, fileName, created: new Date().toISOString(), status: 'processing' }
+                `CREATE (d:Document {
+                    documentId: $documentId,
+                    namespace: $namespace,
+                    fileName: $fileName,
+                    created: $created,
+                    status: 'queued',
+                    analysisDescription: $analysisDescription,
+                    ontology: $ontology,
+                    prompts: $prompts,
+                    metadata: $metadata,
+                    fileHash: $fileHash,
+                    version: 1,
+                    history: [$history]
+                })
+                SET d += $metadataProperties`,
+                {
+                    documentId,
+                    fileName,
+                    created,
+                    analysisDescription,
+                    ontology: ontology ? JSON.stringify(ontology) : null,
+                    prompts: prompts ? JSON.stringify(prompts) : null,
+                    metadata: documentMetadata ? JSON.stringify(documentMetadata.metadata) : null,
+                    metadataProperties: documentMetadata?.properties ?? {},
+                    fileHash,
+                    history: JSON.stringify({ version: 1, updated: created, fileName, fileHash })
+                }
             );
+            job.register();
 
-            const chunks = await this.splitText(text);
-            console.log('📑 Processing chunks...');
+            return await this.ingestionSlots(async () => {
+                await this.startJob(job);
 
-            const chunkPromises = chunks.map(async (chunk, index) => {
-                const chunkId = uuidv4();
-                const embedding = await this.llm.generateEmbedding(chunk.pageContent);
+                const { text, metadata } = await this.resolveDocumentInput(input, fileName, options);
+                if (!text || typeof text !== 'string') {
+                    throw new Error('Document input is required and must contain text');
+                }
 
-                await this.runQuery(`
-                    MATCH (d:Document {documentId: $documentId})
-                    CREATE (c:DocumentChunk {
-                        documentId: $documentId, 
-                        content: $content, 
-                        index: $index, 
-                        text: $text, 
-                        created: $created,
-                        embedding: $embedding
-                    })
-                    CREATE (d)-[:HAS_CHUNK]->(c)
-                `, {
-                    documentId,
-                    content: chunk.pageContent,
-                    index,
-                    text: `Chunk ${index}`,
-                    created: new Date().toISOString(),
-                    embedding
+                await this.runQuery(
+                    `MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+                     SET d.format = $format, d.mimeType = $mimeType, d.pageCount = $pageCount`,
+                    {
+                        documentId,
+                        format: metadata.format ?? null,
+                        mimeType: metadata.mimeType ?? null,
+                        pageCount: metadata.pageCount ?? null
+                    }
+                );
+
+                // Per-document chunking settings override the instance defaults
+                const chunks = await this.splitText(text, {
+                    pages: metadata.pages,
+                    headings: metadata.headings,
+                    ...options.chunking
                 });
+                const entries = chunks.map((chunk, index) => ({ index, chunk }));
+                await this.createChunks(documentId, entries);
 
-                try {
-                    const entityResult = await this.extractEntities(chunk.pageContent, index, documentId, analysisDescription);
-                } catch (error) {
-                    await this.runQuery(
-                        'MATCH (d:Document {documentId: $documentId}) SET d.status = $status, d.error = $error',
-                        { documentId, status: 'error', error: error.message }
-                    );
-                    throw error;
-                }
+                return this.processChunks(
+                    job,
+                    entries.map(({ index, chunk }) => ({ index, content: chunk.pageContent, embedded: false })),
+                    { analysisDescription, ontology, prompts }
+                );
             });
+        } catch (error) {
+            await this.failJob(job, error);
+            throw error;
+        }
+    }
+
+    async runResume(job) {
+        const { documentId } = job;
+
+        try {
+            return await this.ingestionSlots(async () => {
+                const result = await this.runQuery(`
+                    MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+                    OPTIONAL MATCH (d)-[:HAS_CHUNK]->(c:DocumentChunk)
+                    WITH d, c ORDER BY c.index
+                    RETURN d.analysisDescription AS analysisDescription, d.ontology AS ontology, d.prompts AS prompts,
+                           d.fileName AS fileName,
+                           collect(CASE WHEN c IS NULL THEN null ELSE {
+                               index: c.index,
+                               content: c.content,
+                               embedded: c.embedding IS NOT NULL,
+                               extracted: coalesce(c.hasEntities, false)
+                           } END) AS chunks
+                `, { documentId });
 
-            await Promise.all(chunkPromises);
-            console.log('✅ Document processed successfully');
-            return { documentId };
+                if (result.records.length === 0) {
+                    throw new Error(`Document not found: ${documentId}`);
+                }
+
+                const record = result.records[0];
+                const chunks = record.get('chunks');
+                job.fileName = record.get('fileName');
+                if (chunks.length === 0) {
+                    throw new Error('Ingestion stopped before the document was chunked; upload it again');
+                }
+
+                await this.startJob(job);
+                console.log(`📄 Resuming document ${job.fileName || documentId}...`);
+
+                const pending = chunks.filter(chunk => !chunk.extracted);
+                const ontology = record.get('ontology');
+                const prompts = record.get('prompts');
+                return this.processChunks(job, pending, {
+                    analysisDescription: record.get('analysisDescription'),
+                    ontology: ontology ? JSON.parse(ontology) : null,
+                    prompts: prompts ? JSON.parse(prompts) : null
+                }, {
+                    skipped: chunks.length - pending.length
+                });
+            });
         } catch (error) {
+            await this.failJob(job, error);
             throw error;
         }
     }
 
-    async extractEntities(text, chunkId, documentId, analysisDescription) {
+    async runUpdate(job, input, options) {
+        const { documentId } = job;
+
         try {
-            // Step 1: Generate embedding first
-            const embedding = await this.llm.generateEmbedding(text);
+            return await this.ingestionSlots(async () => {
+                const result = await this.runQuery(`
+                    MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+                    OPTIONAL MATCH (d)-[:HAS_CHUNK]->(c:DocumentChunk)
+                    // Chunks stored before chunk ids existed get one now
+                    FOREACH (_ IN CASE WHEN c IS NOT NULL AND c.chunkId IS NULL THEN [1] ELSE [] END |
+                        SET c.chunkId = randomUUID())
+                    WITH d, c ORDER BY c.index
+                    RETURN d.analysisDescription AS analysisDescription, d.ontology AS ontology, d.prompts AS prompts,
+                           d.fileName AS fileName, coalesce(d.version, 1) AS version,
+                           collect(CASE WHEN c IS NULL THEN null ELSE {
+                               chunkId: c.chunkId,
+                               content: c.content,
+                               contentHash: c.contentHash,
+                               extracted: coalesce(c.hasEntities, false)
+                           } END) AS chunks
+                `, { documentId });
+
+                if (result.records.length === 0) {
+                    throw new Error(`Document not found: ${documentId}`);
+                }
+
+                const record = result.records[0];
+                const storedChunks = record.get('chunks');
+                const storedDescription = record.get('analysisDescription');
+                const analysisDescription = options.analysisDescription ?? storedDescription;
+                const storedOntology = record.get('ontology') ?? null;
+                const ontologyJson = options.ontology !== undefined
+                    ? (options.ontology ? JSON.stringify(options.ontology) : null)
+                    : storedOntology;
+                const ontology = ontologyJson ? JSON.parse(ontologyJson) : null;
+                const storedPrompts = record.get('prompts') ?? null;
+                const promptsJson = options.prompts !== undefined
+                    ? (options.prompts ? JSON.stringify(options.prompts) : null)
+                    : storedPrompts;
+                const prompts = promptsJson ? JSON.parse(promptsJson) : null;
+                const fileName = options.fileName ?? record.get('fileName');
+                const version = record.get('version');
+                job.fileName = fileName;
+
+                await this.startJob(job);
+                console.log(`📄 Updating document ${fileName || documentId}...`);
+
+                const { text, metadata } = await this.resolveDocumentInput(input, fileName, options);
+                if (!text || typeof text !== 'string') {
+                    throw new Error('Document input is required and must contain text');
+                }
+
+                const chunks = await this.splitText(text, {
+                    pages: metadata.pages,
+                    headings: metadata.headings,
+                    ...options.chunking
+                });
+
+                // Stored chunks with the same text keep their embedding and entities.
+                // A different analysis focus, ontology or extraction prompt changes what is extracted, so nothing is kept then.
+                const reusable = new Map();
+                if (analysisDescription === storedDescription && ontologyJson === storedOntology && promptsJson === storedPrompts) {
+                    for (const stored of storedChunks.filter(chunk => chunk.extracted)) {
+                        const hash = stored.contentHash ?? hashContent(stored.content);
+                        reusable.set(hash, [...(reusable.get(hash) || []), stored]);
+                    }
+                }
+
+                const kept = [];
+                const added = [];
+                chunks.forEach((chunk, index) => {
+                    const match = reusable.get(hashContent(chunk.pageContent))?.shift();
+                    if (match) {
+                        kept.push({ chunkId: match.chunkId, index, chunk });
+                    } else {
+                        added.push({ index, chunk });
+                    }
+                });
+
+                const keptIds = new Set(kept.map(entry => entry.chunkId));
+                const removed = storedChunks.filter(chunk => !keptIds.has(chunk.chunkId)).map(chunk => chunk.chunkId);
+
+                await this.removeChunks(documentId, removed);
+                await this.moveChunks(documentId, kept);
+                if (options.metadata !== undefined) {
+                    await this.writeDocumentMetadata(documentId, options.metadata);
+                }
+                await this.createChunks(documentId, added);
+
+                const changed = added.length > 0 || removed.length > 0;
+                const summary = {
+                    version: (neo4j.isInt(version) ? version.toNumber() : version) + (changed ? 1 : 0),
+                    added: added.length,
+                    removed: removed.length,
+                    unchanged: kept.length
+                };
+
+                if (changed) {
+                    const updated = new Date().toISOString();
+                    const fileHash = hashContent(documentBytes(input));
+                    await this.runQuery(`
+                        MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+                        SET d.version = $version,
+                            d.history = coalesce(d.history, []) + $history,
+                            d.updated = $updated,
+                            d.fileName = $fileName,
+                            d.fileHash = $fileHash,
+                            d.analysisDescription = $analysisDescription,
+                            d.ontology = $ontology,
+                            d.prompts = $prompts,
+                            d.format = $format,
+                            d.mimeType = $mimeType,
+                            d.pageCount = $pageCount
+                    `, {
+                        documentId,
+                        version: neo4j.int(summary.version),
+                        history: JSON.stringify({ ...summary, updated, fileName, fileHash }),
+                        updated,
+                        fileName,
+                        fileHash,
+                        analysisDescription,
+                        ontology: ontologyJson,
+                        prompts: promptsJson,
+                        format: metadata.format ?? null,
+                        mimeType: metadata.mimeType ?? null,
+                        pageCount: metadata.pageCount ?? null
+                    });
+                }
+
+                const outcome = await this.processChunks(
+                    job,
+                    added.map(({ index, chunk }) => ({ index, content: chunk.pageContent, embedded: false })),
+                    { analysisDescription, ontology, prompts },
+                    summary
+                );
+                return { ...outcome, ...summary };
+            });
+        } catch (error) {
+            await this.failJob(job, error);
+            throw error;
+        }
+    }
+
+    // Deletes chunks along with the relationships and entities only they supported
+    async removeChunks(documentId, chunkIds) {
+        if (chunkIds.length === 0) {
+            return;
+        }
+
+        await this.runQuery(`
+            MATCH (:Entity {documentId: $documentId, namespace: $namespace})-[r]->(:Entity {documentId: $documentId, namespace: $namespace})
+            WHERE r.chunkIds IS NOT NULL AND all(id IN r.chunkIds WHERE id IN $chunkIds)
+            DELETE r
+        `, { documentId, chunkIds });
+
+        await this.runQuery(`
+            MATCH (:Entity {documentId: $documentId, namespace: $namespace})-[r]->(:Entity {documentId: $documentId, namespace: $namespace})
+            WHERE any(id IN coalesce(r.chunkIds, []) WHERE id IN $chunkIds)
+            SET r.chunkIds = [id IN r.chunkIds WHERE NOT id IN $chunkIds]
+        `, { documentId, chunkIds });
+
+        await this.runQuery(`
+            MATCH (c:DocumentChunk {documentId: $documentId, namespace: $namespace})
+            WHERE c.chunkId IN $chunkIds
+            DETACH DELETE c
+        `, { documentId, chunkIds });
+
+        await this.removeOrphanEntities(documentId);
+        await this.pruneCanonicalEntities();
+        await this.pruneCommunities();
+    }
+
+    // Entities of a document no chunk refers to any more, with their relationships
+    async removeOrphanEntities(documentId) {
+        await this.runQuery(`
+            MATCH (e:Entity {documentId: $documentId, namespace: $namespace})
+            WHERE NOT (:DocumentChunk)-[:APPEARS_IN]->(e)
+            DETACH DELETE e
+        `, { documentId });
+    }
+
+    // Unchanged chunks take their position and offsets in the new text
+    async moveChunks(documentId, entries) {
+        if (entries.length === 0) {
+            return;
+        }
+
+        await this.runQuery(`
+            UNWIND $chunks AS chunk
+            MATCH (c:DocumentChunk {documentId: $documentId, namespace: $namespace, chunkId: chunk.chunkId})
+            SET c.index = chunk.index,
+                c.text = chunk.text,
+                c.contentHash = chunk.contentHash,
+                c.startOffset = chunk.startOffset,
+                c.endOffset = chunk.endOffset,
+                c.pageStart = chunk.pageStart,
+                c.pageEnd = chunk.pageEnd,
+                c.headingPath = chunk.headingPath
+        `, {
+            documentId,
+            chunks: entries.map(({ chunkId, index, chunk }) => ({
+                chunkId,
+                index,
+                text: `Chunk ${index}`,
+                contentHash: hashContent(chunk.pageContent),
+                startOffset: chunk.metadata.start,
+                endOffset: chunk.metadata.end,
+                pageStart: chunk.metadata.pageStart,
+                pageEnd: chunk.metadata.pageEnd,
+                headingPath: chunk.metadata.headingPath
+            }))
+        });
+    }
+
+    async findDuplicateDocument(fileHash, analysisDescription, ontology = null, metadata = null, prompts = null) {
+        const result = await this.runQuery(`
+            MATCH (d:Document {fileHash: $fileHash, namespace: $namespace})
+            WHERE d.status = 'ready' AND d.analysisDescription = $analysisDescription
+            AND coalesce(d.ontology, '') = $ontology
+            AND coalesce(d.metadata, '') = $metadata
+            AND coalesce(d.prompts, '') = $prompts
+            RETURN d.documentId AS documentId, d.fileName AS fileName, d.chunkCount AS chunkCount
+            ORDER BY d.created
+            LIMIT 1
+        `, {
+            fileHash,
+            analysisDescription,
+            ontology: ontology ? JSON.stringify(ontology) : '',
+            metadata: metadata ? JSON.stringify(metadata.metadata) : '',
+            prompts: prompts ? JSON.stringify(prompts) : ''
+        });
+
+        if (result.records.length === 0) {
+            return null;
+        }
+
+        const record = result.records[0];
+        const chunkCount = record.get('chunkCount');
+        return {
+            documentId: record.get('documentId'),
+            fileName: record.get('fileName'),
+            chunkCount: neo4j.isInt(chunkCount) ? chunkCount.toNumber() : chunkCount
+        };
+    }
+
+    reuseDocument(job, existing) {
+        console.log(`♻️ Duplicate upload, reusing document ${existing.documentId}`);
+        job.duplicateOf = existing.documentId;
+        job.register(existing.documentId);
+        job.progress('duplicate', { duplicateOf: existing.documentId, fileName: existing.fileName });
+        job.progress('completed', { status: 'ready', reused: true });
+
+        return {
+            jobId: job.jobId,
+            documentId: existing.documentId,
+            status: 'ready',
+            reused: true,
+            ...job.counts(),
+            total: existing.chunkCount ?? 0,
+            errors: []
+        };
+    }
+
+    // Chunks are stored up front as 'pending' so a restart can tell which ones are unfinished.
+    // entries: [{ index, chunk }] with chunks as returned by splitText()
+    async createChunks(documentId, entries) {
+        const created = new Date().toISOString();
+        await this.runQuery(`
+            MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+            UNWIND $chunks AS chunk
+            CREATE (c:DocumentChunk {
+                documentId: $documentId, 
+                namespace: $namespace,
+                chunkId: chunk.chunkId,
+                contentHash: chunk.contentHash,
+                content: chunk.content, 
+                index: chunk.index, 
+                text: chunk.text, 
+                created: $created,
+                startOffset: chunk.startOffset,
+                endOffset: chunk.endOffset,
+                pageStart: chunk.pageStart,
+                pageEnd: chunk.pageEnd,
+                headingPath: chunk.headingPath,
+                status: 'pending'
+            })
+            CREATE (d)-[:HAS_CHUNK]->(c)
+
+            // Chunks inherit the document's metadata so searches can filter them directly
+            WITH d, c, [key IN keys(d) WHERE key STARTS WITH $metadataPrefix] AS metadataKeys
+            CALL apoc.create.setProperties(c, metadataKeys, [key IN metadataKeys | d[key]]) YIELD node
+            RETURN count(node) AS created
+        `, {
+            documentId,
+            created,
+            metadataPrefix: METADATA_PREFIX,
+            chunks: entries.map(({ index, chunk }) => ({
+                chunkId: uuidv4(),
+                contentHash: hashContent(chunk.pageContent),
+                content: chunk.pageContent,
+                index,
+                text: `Chunk ${index}`,
+                startOffset: chunk.metadata.start,
+                endOffset: chunk.metadata.end,
+                pageStart: chunk.metadata.pageStart,
+                pageEnd: chunk.metadata.pageEnd,
+                headingPath: chunk.metadata.headingPath
+            }))
+        });
+    }
 
-            // Step 2: Try entity extraction
-            const cypher = await this.llm.processTextToGraph(text, documentId, chunkId, analysisDescription, embedding);
+    // chunks: [{ index, content, embedded }], extraction: { analysisDescription, ontology, prompts }
+    async processChunks(job, chunks, extraction, details = {}) {
+        const { documentId } = job;
+        job.progress('chunked', { total: chunks.length, ...details });
+        console.log('📑 Processing chunks...');
+
+        await runWithConcurrency(chunks, this.config.ingestionConcurrency, async ({ index, content, embedded }) => {
+            try {
+                if (!embedded) {
+                    const embedding = await this.withRetries(
+                        () => this.llm.generateEmbedding(content), job, index, 'embedding'
+                    );
+                    await this.runQuery(
+                        `MATCH (c:DocumentChunk {documentId: $documentId, namespace: $namespace, index: $index})
+                         SET c.embedding = $embedding, c.status = 'embedded', c.error = null`,
+                        { documentId, index, embedding }
+                    );
+                }
+                job.progress('embedded', { chunkIndex: index });
+
+                const { rejected, remapped } = await this.withRetries(
+                    () => this.extractEntities(content, index, documentId, extraction.analysisDescription, extraction.ontology, extraction.prompts),
+                    job, index, 'extraction'
+                );
+                await this.setChunkStatus(documentId, index, 'extracted');
+                job.progress('extracted', { chunkIndex: index, rejected, remapped });
+            } catch (error) {
+                // One bad chunk is recorded and skipped, the rest of the document carries on
+                await this.setChunkStatus(documentId, index, 'failed', error.message).catch(() => {});
+                job.progress('failed', { chunkIndex: index, error: error.message });
+            }
+        });
+
+        if (this.config.entityResolution && job.extracted > 0) {
+            try {
+                const resolved = await this.withRetries(() => this.resolveEntities(documentId), job, null, 'resolution');
+                job.progress('resolved', resolved);
+            } catch (error) {
+                // The document stays searchable without it; resolveEntities() can be run again later
+                console.warn('⚠️ Entity resolution failed:', error.message);
+                job.progress('resolved', { linked: 0, created: 0, error: error.message });
+            }
+        }
+
+        const status = job.failed > 0 ? 'error' : 'ready';
+        await this.runQuery(`
+            MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+            OPTIONAL MATCH (d)-[:HAS_CHUNK]->(c:DocumentChunk)
+            WITH d, count(c) AS chunkCount, count(CASE WHEN c.status = 'failed' THEN 1 END) AS failedChunks
+            SET d.status = $status, d.error = $error, d.chunkCount = chunkCount, d.failedChunks = failedChunks
+        `, {
+            documentId,
+            status,
+            error: job.failed > 0 ? `${job.failed} of ${job.total} chunks failed` : null
+        });
+
+        job.progress('completed', { status });
+        console.log(status === 'ready' ? '✅ Document processed successfully' : `⚠️ Document processed with ${job.failed} failed chunks`);
+        if (job.rejected.length > 0) {
+            console.log(`🚫 ${job.rejected.length} extracted items did not fit the ontology and were dropped`);
+        }
+        return { jobId: job.jobId, documentId, status, ...job.counts(), errors: job.errors, rejected: job.rejected };
+    }
+
+    async startJob(job) {
+        await this.runQuery(
+            `MATCH (d:Document {documentId: $documentId, namespace: $namespace}) SET d.status = 'processing', d.error = null`,
+            { documentId: job.documentId }
+        );
+        job.progress('started', { fileName: job.fileName, resumed: job.resumed });
+    }
+
+    async failJob(job, error) {
+        await this.runQuery(
+            'MATCH (d:Document {documentId: $documentId, namespace: $namespace}) SET d.status = $status, d.error = $error',
+            { documentId: job.documentId, status: 'error', error: error.message }
+        ).catch(() => {});
+        job.progress('completed', { status: 'error', error: error.message });
+    }
+
+    // Retries rate limits and server errors with exponential backoff, reporting each retry
+    async withRetries(fn, job, chunkIndex, stage) {
+        return withRetry(fn, {
+            retries: this.config.maxRetries,
+            baseDelay: this.config.retryBaseDelay,
+            maxDelay: this.config.retryMaxDelay,
+            onRetry: (error, attempt, delay) => job.progress('retry', {
+                chunkIndex,
+                stage,
+                attempt,
+                delay: Math.round(delay),
+                error: error.message
+            })
+        });
+    }
+
+    async setChunkStatus(documentId, index, status, error = null) {
+        await this.runQuery(
+            'MATCH (c:DocumentChunk {documentId: $documentId, namespace: $namespace, index: $index}) SET c.status = $status, c.error = $error',
+            { documentId, index, status, error }
+        );
+    }
+
+    async resolveDocumentInput(input, fileName, options = {}) {
+        if (typeof input === 'string' && !options.mimeType) {
+            // Callers that extracted text themselves can still pass page offsets
+            return { text: input, metadata: { format: 'text', mimeType: 'text/plain', pages: options.pages } };
+        }
+
+        if (input && typeof input === 'object' && input.buffer && !ArrayBuffer.isView(input)) {
+            return this.loadDocument(input.buffer, { mimeType: input.mimeType, fileName });
+        }
+
+        if (input == null) {
+            return { text: null, metadata: {} };
+        }
+
+        return this.loadDocument(input, { mimeType: options.mimeType, fileName });
+    }
+
+    // Returns what the ontology rejected and remapped, see applyOntology()
+    async extractEntities(text, chunkId, documentId, analysisDescription, ontology = null, prompts = null) {
+        try {
+            // The chunk is already embedded during ingestion, only entities are extracted here
+            const cypher = await this.llm.processTextToGraph(text, documentId, chunkId, analysisDescription, ontology, prompts);
 
             if (cypher?.query && typeof cypher.query === 'string' && !cypher.query.includes('...')) {
                 try {
@@ -195,60 +1201,834 @@ export class DocuGraphRAG {
                     throw error;
                 }
             }
+
+            return { rejected: cypher?.rejected || [], remapped: cypher?.remapped || [] };
         } catch (error) {
             console.error('Error in extractEntities:', error);
             throw error;
         }
     }
 
-    async chat(question, options = {}) {
-        console.log('💬 Processing chat request...');
-        const { documentIds, vectorSearch = true, textSearch = true, graphSearch = true } = options;
+    // Retrieval without answer generation: ranked chunks as plain JSON.
+    // options.filter selects chunks by document metadata (see src/filters.js); with a filter,
+    // documentIds may be left out to search every document that matches it.
+    async search(question, options = {}) {
+        const {
+            documentIds,
+            filter = null,
+            vectorSearch = true,
+            textSearch = true,
+            graphSearch = true,
+            textSearchMode,
+            fusionMethod = this.config.fusionMethod,
+            topK = this.config.searchLimit,
+            reranker = this.config.reranker,
+            // Fusion weights per strategy, e.g. from a route; the configured ones by default
+            weights = {}
+        } = options;
 
-        if (!documentIds || !Array.isArray(documentIds) || documentIds.length === 0) {
-            throw new Error('At least one document ID is required');
+        if (!question || typeof question !== 'string') {
+            throw new Error('Question is required and must be a string');
         }
 
-        try {
+        assertDocumentScope(documentIds, filter);
+        // An invalid filter fails here rather than inside the graph search, whose errors are only warnings
+        compileFilter(filter, 'c');
+        const scope = documentIds?.length > 0 ? documentIds : null;
+
+        const resultSets = [];
+        const warnings = [];
+
+        if (vectorSearch) {
             const questionEmbedding = await this.llm.generateEmbedding(question);
-            let relevantChunks = [];
+            const results = await this.llm.searchSimilarVectors(questionEmbedding, scope, { filter });
+            resultSets.push({ strategy: 'vector', weight: weights?.vector ?? this.config.vectorSearchWeight, results });
+        }
 
-            if (vectorSearch) {
-                const vectorResults = await this.llm.searchSimilarVectors(questionEmbedding, documentIds);
-                relevantChunks.push(...vectorResults.map(r => ({ ...r, weight: this.config.vectorSearchWeight })));
+        if (textSearch) {
+            const results = await this.llm.searchSimilarChunks(question, scope, { mode: textSearchMode, filter });
+            resultSets.push({ strategy: 'text', weight: weights?.text ?? this.config.textSearchWeight, results });
+        }
+
+        if (graphSearch) {
+            // Graph search depends on the model reading entities from the question; when that
+            // fails the other strategies still answer
+            try {
+                const results = await this.llm.searchGraphRelationships(question, scope, { filter, prompts: options.prompts });
+                resultSets.push({ strategy: 'graph', weight: weights?.graph ?? this.config.graphSearchWeight, results });
+            } catch (error) {
+                console.warn('⚠️ Graph search failed, continuing without it:', error.message);
+                warnings.push({ strategy: 'graph', error: error.message });
             }
+        }
+
+        let chunks = fuseResults(resultSets, { method: fusionMethod, rrfK: this.config.rrfK });
+
+        const activeReranker = resolveReranker(reranker, this.llm);
+        if (activeReranker) {
+            chunks = await activeReranker.rerank(question, chunks.slice(0, this.config.rerankCandidates));
+        }
 
-            if (textSearch) {
-                const textResults = await this.llm.searchSimilarChunks(question, '', documentIds);
-                relevantChunks.push(...textResults.map(r => ({ ...r, weight: this.config.textSearchWeight })));
+        chunks = chunks.slice(0, topK);
+
+        const documents = await this.getDocumentsById([...new Set(chunks.map(chunk => chunk.documentId))]);
+
+        return {
+            question,
+            documentIds,
+            filter,
+            fusionMethod,
+            strategies: Object.fromEntries(resultSets.map(set => [set.strategy, set.results.length])),
+            warnings,
+            chunks: chunks.map(chunk => toPlainChunk(chunk, documents))
+        };
+    }
+
+    // Map-reduce over community summaries for questions about the corpus as a whole: batches of
+    // summaries are read in parallel for points that help answer, and the best points are kept.
+    // Needs buildCommunities(); documentIds and filter (optional) limit it to communities with
+    // entities from those documents.
+    async globalSearch(question, options = {}) {
+        const {
+            documentIds = null,
+            filter = null,
+            communityLimit = this.config.globalSearchCommunities,
+            topK = this.config.globalSearchPoints
+        } = options;
+
+        if (!question || typeof question !== 'string') {
+            throw new Error('Question is required and must be a string');
+        }
+
+        const scope = await this.resolveDocumentScope(documentIds, filter);
+        if (scope?.length === 0) {
+            return { question, documentIds, communities: 0, warnings: [{ strategy: 'global', error: 'No documents match the filter' }], points: [] };
+        }
+
+        const result = await this.runQuery(`
+            MATCH (c:Community {namespace: $namespace})
+            WHERE c.summary IS NOT NULL
+            AND ($documentIds IS NULL OR any(id IN c.documentIds WHERE id IN $documentIds))
+            RETURN c.communityId AS communityId, c.title AS title, c.summary AS summary,
+                   c.documentIds AS documentIds
+            ORDER BY c.importance DESC, c.size DESC
+            LIMIT $limit
+        `, {
+            documentIds: scope,
+            limit: neo4j.int(communityLimit)
+        });
+
+        const communities = result.records.map((record, i) => ({ id: i + 1, ...record.toObject() }));
+        const warnings = [];
+
+        if (communities.length === 0) {
+            warnings.push({ strategy: 'global', error: 'No community summaries found, run buildCommunities() first' });
+            return { question, documentIds, communities: 0, warnings, points: [] };
+        }
+
+        // Summaries are packed into requests of about globalSearchBatchSize characters
+        const batches = [[]];
+        let size = 0;
+        for (const community of communities) {
+            if (size > 0 && size + community.summary.length > this.config.globalSearchBatchSize) {
+                batches.push([]);
+                size = 0;
             }
+            batches[batches.length - 1].push(community);
+            size += community.summary.length;
+        }
 
-            if (graphSearch) {
-                const graphResults = await this.llm.searchGraphRelationships(question, documentIds);
-                relevantChunks.push(...graphResults.map(r => ({ ...r, weight: this.config.graphSearchWeight })));
+        // A batch the model fails on is left out rather than failing the whole question
+        const mapped = await runWithConcurrency(batches, this.config.ingestionConcurrency, async batch => {
+            try {
+                return await mapCommunities(this.llm, question, batch);
+            } catch (error) {
+                console.warn('⚠️ Reading community summaries failed, skipping them:', error.message);
+                warnings.push({ strategy: 'global', error: error.message });
+                return [];
             }
+        });
 
-            // Apply weights to scores
-            relevantChunks = relevantChunks.map(chunk => ({
-                ...chunk,
-                weightedScore: chunk.score * chunk.weight
-            }));
+        const byId = new Map(communities.map(community => [community.id, community]));
+        const points = mapped.flat()
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK)
+            .map(point => {
+                const community = byId.get(point.community);
+                return {
+                    description: point.description,
+                    score: point.score,
+                    communityId: community.communityId,
+                    title: community.title,
+                    documentIds: community.documentIds
+                };
+            });
+
+        return { question, documentIds, communities: communities.length, warnings, points };
+    }
+
+    // Answers counting and listing questions from the graph: the chat model writes a read-only Cypher
+    // query from the entity types, properties and relationship types of the selected documents, which
+    // runs with a row limit and a timeout. Returns the query with its rows.
+    async cypherSearch(question, options = {}) {
+        const { documentIds, filter = null, maxRows = this.config.cypherMaxRows } = options;
+
+        if (!question || typeof question !== 'string') {
+            throw new Error('Question is required and must be a string');
+        }
+
+        assertDocumentScope(documentIds, filter);
+        // The generated query sees the matching documents as $documentIds
+        const scope = await this.resolveDocumentScope(documentIds, filter);
+        if (scope.length === 0) {
+            throw new Error('No documents match the filter');
+        }
+
+        const schema = await this.getGraphSchema(scope);
+        const warnings = [];
+        if (schema.entities.length === 0) {
+            warnings.push({ strategy: 'cypher', error: 'The selected documents have no entities' });
+        }
 
-            // Remove duplicates and sort by weighted score
-            relevantChunks = Array.from(new Set(relevantChunks.map(c => c.content)))
-                .map(content => relevantChunks.find(c => c.content === content))
-                .sort((a, b) => b.weightedScore - a.weightedScore)
-                .slice(0, 5);
+        let previous = null;
+        for (let attempt = 0; ; attempt++) {
+            const query = await generateCypher(this.llm, question, schema, { maxRows, previous });
+            if (this.debug) {
+                console.log('Generated Cypher:', query);
+            }
+
+            try {
+                const result = await this.runQuery(query, { documentIds: scope }, {
+                    readOnly: true,
+                    timeout: this.config.cypherTimeout
+                });
+                const rows = result.records.map(record => toPlainValue(record.toObject()));
+                return {
+                    question,
+                    documentIds: scope,
+                    query,
+                    columns: result.records[0]?.keys ?? [],
+                    rows,
+                    truncated: rows.length >= maxRows,
+                    warnings
+                };
+            } catch (error) {
+                // Syntax and type errors are worth another try, timeouts and connection errors are not
+                if (attempt >= this.config.cypherRetries || !String(error.code).startsWith('Neo.ClientError.Statement')) {
+                    throw error;
+                }
+                console.warn('⚠️ Generated Cypher failed, asking for a correction:', error.message);
+                previous = { query, error: error.message };
+            }
+        }
+    }
+
+    // The given documents narrowed to those matching a metadata filter; null without either (every
+    // document), [] when nothing matches
+    async resolveDocumentScope(documentIds, filter = null) {
+        const scope = documentIds?.length > 0 ? documentIds : null;
+        if (filter == null) {
+            return scope;
+        }
+
+        const compiled = compileFilter(filter, 'd');
+        const result = await this.runQuery(`
+            MATCH (d:Document {namespace: $namespace})
+            WHERE ($documentIds IS NULL OR d.documentId IN $documentIds)
+            AND ${compiled.cypher}
+            RETURN d.documentId AS documentId
+        `, { ...compiled.params, documentIds: scope });
+        return result.records.map(record => record.get('documentId'));
+    }
+
+    // Entity types (with their labels, property keys and a few names) and the relationship types
+    // between them in the given documents
+    async getGraphSchema(documentIds) {
+        const entities = await this.runQuery(`
+            MATCH (e:Entity {namespace: $namespace})
+            WHERE e.documentId IN $documentIds
+            WITH e ORDER BY e.text
+            RETURN e.type AS type, count(e) AS count, collect(DISTINCT e.text)[..5] AS examples,
+                   head(collect([label IN labels(e) WHERE label <> 'Entity'])) AS labels
+            ORDER BY count DESC
+        `, { documentIds });
+
+        const properties = await this.runQuery(`
+            MATCH (e:Entity {namespace: $namespace})
+            WHERE e.documentId IN $documentIds
+            UNWIND keys(e) AS key
+            RETURN e.type AS type, collect(DISTINCT key) AS keys
+        `, { documentIds });
+        const keysByType = new Map(properties.records.map(record => [record.get('type'), record.get('keys')]));
+
+        const relationships = await this.runQuery(`
+            MATCH (a:Entity {namespace: $namespace})-[r]->(b:Entity)
+            WHERE a.documentId IN $documentIds
+            RETURN a.type AS from, type(r) AS type, b.type AS to, count(r) AS count
+            ORDER BY count DESC
+            LIMIT 100
+        `, { documentIds });
+
+        return {
+            entities: entities.records.map(record => ({
+                type: record.get('type'),
+                labels: record.get('labels') || [],
+                count: record.get('count').toNumber(),
+                // text, type, documentId and namespace are described in the prompt already
+                properties: (keysByType.get(record.get('type')) || [])
+                    .filter(key => !['text', 'type', 'documentId', 'namespace'].includes(key)),
+                examples: record.get('examples')
+            })),
+            relationships: relationships.records.map(record => ({
+                from: record.get('from'),
+                type: record.get('type'),
+                to: record.get('to'),
+                count: record.get('count').toNumber()
+            }))
+        };
+    }
+
+    async createConversation() {
+        return this.conversations.create();
+    }
+
+    // Custom stores without exists() accept any id
+    async hasConversation(conversationId) {
+        return typeof this.conversations.exists === 'function'
+            ? this.conversations.exists(conversationId)
+            : true;
+    }
+
+    // null when the conversation doesn't exist
+    async getConversation(conversationId) {
+        if (!await this.hasConversation(conversationId)) {
+            return null;
+        }
+        return this.conversations.getMessages(conversationId);
+    }
+
+    async deleteConversation(conversationId) {
+        await this.conversations.delete(conversationId);
+    }
+
+    // options.mode: 'local' answers from the chunks search() finds, 'global' from the community
+    // summaries globalSearch() finds, for questions about the corpus as a whole, and 'cypher' from
+    // the rows of a query cypherSearch() generates, for counts and lists. 'auto' lets the router pick
+    // (the rule-based one when none is configured); it is the default when config.router is set.
+    // options.prompts, answerStyle, language and temperature override the instance's for this answer.
+    async chat(question, options = {}) {
+        console.log('💬 Processing chat request...');
+        const {
+            conversationId,
+            router = this.config.router,
+            prompts = null,
+            answerStyle = this.config.answerStyle,
+            language = this.config.answerLanguage,
+            temperature = this.config.answerTemperature
+        } = options;
+        const mode = options.mode ?? (router ? 'auto' : 'local');
+
+        if (!['auto', 'local', 'global', 'cypher'].includes(mode)) {
+            throw new Error(`Unknown chat mode ${mode}, expected auto, local, global or cypher`);
+        }
+        // Checked before any search runs
+        const style = resolveAnswerStyle(answerStyle);
+        normalizePrompts(prompts);
+
+        try {
+            let history = [];
+            let standaloneQuestion = question;
+
+            if (conversationId) {
+                if (!await this.hasConversation(conversationId)) {
+                    throw new Error(`Conversation ${conversationId} not found`);
+                }
+                history = trimHistory(
+                    await this.conversations.getMessages(conversationId),
+                    this.config.historyTokenBudget
+                ).map(message => ({
+                    ...message,
+                    // Citation numbers from earlier answers point at other contexts
+                    content: message.role === 'assistant'
+                        ? message.content.replace(/\s?\[\d+(?:\s*,\s*\d+)*\]/g, '')
+                        : message.content
+                }));
 
-            const response = await this.llm.generateAnswer(question, this.formatContextForLLM(relevantChunks));
+                if (this.config.rewriteQuestions && history.length > 0) {
+                    standaloneQuestion = await this.llm.rewriteQuestion(question, history, { prompts });
+                }
+            }
+
+            let route = null;
+            let retrieved;
+            if (mode === 'auto') {
+                route = await this.routeQuestion(standaloneQuestion, router);
+                retrieved = await this.retrieveRouted(route, standaloneQuestion, options);
+            } else {
+                retrieved = await this.retrieveContext(mode, standaloneQuestion, options);
+            }
+            const { sources, context, query } = retrieved;
+
+            const stream = await this.llm.generateAnswer(question, context, history, { prompts, style, language, temperature });
             console.log('✅ Chat response generated');
-            return response;
+
+            // The answer has been streamed by then, so a conversation dropped in the meantime is only reported
+            const answer = createCitedAnswer(stream, sources, conversationId
+                ? text => this.conversations.addMessages(conversationId, [
+                    { role: 'user', content: question },
+                    { role: 'assistant', content: text }
+                ]).catch(error => console.warn('⚠️ Could not save the conversation turn:', error.message))
+                : null);
+
+            return { ...answer, conversationId: conversationId || null, standaloneQuestion, query, route };
         } catch (error) {
             throw error;
         }
     }
 
-    formatContextForLLM(mergedContext) {
+    // Numbered sources and the answer prompt context for one chat mode
+    async retrieveContext(mode, question, options) {
+        if (mode === 'cypher') {
+            const result = await this.cypherSearch(question, options);
+            const sources = [buildQuerySource(result)];
+            const context = `\n### [1] ${sources[0].label}\n${formatQueryResult(result)}\n---\n`;
+            return { sources, context, query: result.query };
+        }
+
+        if (mode === 'global') {
+            const { points } = await this.globalSearch(question, options);
+            const sources = buildCommunitySources(points);
+            return { sources, context: formatCommunityContext(points, sources), query: null };
+        }
+
+        const { chunks } = await this.search(question, options);
+        const sources = buildSources(chunks);
+        return { sources, context: this.formatContextForLLM(chunks, sources), query: null };
+    }
+
+    // Category, chat mode, searches and fusion weights for a question; see src/router.js
+    async routeQuestion(question, router = this.config.router) {
+        const decision = await resolveRouter(router || 'rules', this.llm).route(question);
+        const route = planRoute(decision, this.config.routes);
+        console.log(`🧭 Routed as ${route.category} (${route.method}) to ${route.mode} retrieval`);
+        return route;
+    }
+
+    // Runs the route. Searches the caller turned off stay off. When a global or Cypher route fails or
+    // finds nothing, the question falls back to local search and route.fallback says why.
+    async retrieveRouted(route, question, options) {
+        if (route.mode !== 'local') {
+            try {
+                const retrieved = await this.retrieveContext(route.mode, question, options);
+                if (retrieved.sources.length > 0) {
+                    return retrieved;
+                }
+                route.fallback = { mode: 'local', reason: `${route.mode} retrieval found nothing` };
+            } catch (error) {
+                console.warn(`⚠️ ${route.mode} retrieval failed, falling back to local search:`, error.message);
+                route.fallback = { mode: 'local', reason: error.message };
+            }
+            return this.retrieveContext('local', question, options);
+        }
+
+        return this.retrieveContext('local', question, {
+            ...options,
+            vectorSearch: options.vectorSearch !== false && route.strategies.vector,
+            textSearch: options.textSearch !== false && route.strategies.text,
+            graphSearch: options.graphSearch !== false && route.strategies.graph,
+            weights: route.weights || {}
+        });
+    }
+
+    // options.filter: only documents whose metadata matches, see src/filters.js
+    async listDocuments(options = {}) {
+        const filter = compileFilter(options.filter, 'd');
+        const result = await this.runQuery(`
+            MATCH (d:Document {namespace: $namespace})
+            WHERE ${filter.cypher}
+            RETURN d.documentId AS documentId, d.fileName AS fileName, d.created AS created,
+                   d.updated AS updated, d.status AS status, d.error AS error,
+                   coalesce(d.version, 1) AS version, d.chunkCount AS chunkCount,
+                   d.format AS format, d.mimeType AS mimeType, d.pageCount AS pageCount,
+                   d.metadata AS metadata
+            ORDER BY d.created
+        `, filter.params);
+
+        return result.records.map(record => Object.fromEntries(
+            record.keys.map(key => {
+                const value = record.get(key);
+                if (key === 'metadata') {
+                    return [key, value ? JSON.parse(value) : null];
+                }
+                return [key, neo4j.isInt(value) ? value.toNumber() : value];
+            })
+        ));
+    }
+
+    // Replaces a document's metadata on the document and its chunks; null removes it.
+    // Returns false if the document does not exist.
+    async setDocumentMetadata(documentId, metadata) {
+        if (this.findActiveJob(documentId)) {
+            throw new Error(`Document ${documentId} is still being ingested`);
+        }
+        return this.writeDocumentMetadata(documentId, normalizeMetadata(metadata));
+    }
+
+    // metadata: as returned by normalizeMetadata()
+    async writeDocumentMetadata(documentId, metadata) {
+        const result = await this.runQuery(`
+            MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+            OPTIONAL MATCH (d)-[:HAS_CHUNK]->(c:DocumentChunk)
+            WITH d, [d] + collect(c) AS nodes
+            UNWIND nodes AS n
+            // Keys the new metadata no longer has are removed
+            WITH d, n, [key IN keys(n) WHERE key STARTS WITH $metadataPrefix] AS staleKeys
+            CALL apoc.create.removeProperties(n, staleKeys) YIELD node
+            SET node += $properties
+            WITH DISTINCT d
+            SET d.metadata = $metadata
+            RETURN d.documentId AS documentId
+        `, {
+            documentId,
+            metadataPrefix: METADATA_PREFIX,
+            properties: metadata?.properties ?? {},
+            metadata: metadata ? JSON.stringify(metadata.metadata) : null
+        });
+        return result.records.length > 0;
+    }
+
+    // Removes a document with its chunks and entities; returns false if it does not exist
+    async deleteDocument(documentId) {
+        if (this.findActiveJob(documentId)) {
+            throw new Error(`Document ${documentId} is still being ingested`);
+        }
+
+        const result = await this.runQuery(
+            'MATCH (d:Document {documentId: $documentId, namespace: $namespace}) RETURN count(d) AS count',
+            { documentId }
+        );
+        if (result.records[0].get('count').toNumber() === 0) {
+            return false;
+        }
+
+        // Entities are merged per document, so every Entity with this documentId belongs to it
+        await this.deleteInBatches(
+            'MATCH (n:Entity {documentId: $documentId, namespace: $namespace})',
+            { documentId }
+        );
+        await this.deleteInBatches(
+            'MATCH (n:DocumentChunk {documentId: $documentId, namespace: $namespace})',
+            { documentId }
+        );
+        await this.runQuery(
+            'MATCH (d:Document {documentId: $documentId, namespace: $namespace}) DETACH DELETE d',
+            { documentId }
+        );
+        await this.pruneCanonicalEntities();
+        await this.pruneCommunities();
+        return true;
+    }
+
+    // Links entities of one document, or every unlinked entity in the namespace, to canonical entities.
+    // Returns how many entities were linked and how many canonical entities were created.
+    async resolveEntities(documentId = null) {
+        return this.resolutionSlots(async () => {
+            const mentions = await this.runQuery(`
+                MATCH (e:Entity {namespace: $namespace})
+                WHERE ($documentId IS NULL OR e.documentId = $documentId)
+                AND NOT (e)-[:SAME_AS]->(:CanonicalEntity)
+                RETURN e.text AS text, e.type AS type, e.documentId AS documentId
+            `, { documentId });
+
+            if (mentions.records.length === 0) {
+                return { linked: 0, created: 0 };
+            }
+
+            // Canonical types are stored normalized; the types as extracted also find ones stored before that
+            const extracted = mentions.records.map(record => record.get('type'));
+            const types = [...new Set([...extracted, ...extracted.map(normalizeEntityType)])];
+            const canonicals = await this.runQuery(`
+                MATCH (ce:CanonicalEntity {namespace: $namespace})
+                WHERE ce.type IN $types
+                RETURN ce.canonicalId AS canonicalId, ce.name AS name, ce.type AS type,
+                       ce.aliases AS aliases, ce.nameEmbedding AS embedding
+            `, { types });
+
+            const resolver = new EntityResolver(this.llm, {
+                threshold: this.config.resolutionThreshold,
+                reviewThreshold: this.config.resolutionReviewThreshold,
+                llmReview: this.config.resolutionReview,
+                useEmbeddings: this.config.resolutionEmbeddings
+            });
+            const clusters = await resolver.resolve(
+                mentions.records.map(record => record.toObject()),
+                canonicals.records.map(record => record.toObject())
+            );
+
+            await this.runQuery(`
+                UNWIND $clusters AS cluster
+                MERGE (ce:CanonicalEntity {canonicalId: cluster.canonicalId})
+                ON CREATE SET ce.namespace = $namespace,
+                              ce.name = cluster.name,
+                              ce.normalizedName = cluster.normalizedName,
+                              ce.type = cluster.type,
+                              ce.nameEmbedding = cluster.embedding,
+                              ce.created = $now
+                SET ce.aliases = cluster.aliases, ce.updated = $now
+                WITH ce, cluster
+                UNWIND cluster.mentions AS mention
+                MATCH (e:Entity {text: mention.text, type: mention.type, documentId: mention.documentId, namespace: $namespace})
+                MERGE (e)-[:SAME_AS]->(ce)
+            `, {
+                // Stored canonical entities keep their embedding, no need to send it back
+                clusters: clusters.map(cluster => ({ ...cluster, embedding: cluster.isNew ? cluster.embedding : null })),
+                now: new Date().toISOString()
+            });
+
+            const resolved = {
+                linked: mentions.records.length,
+                created: clusters.filter(cluster => cluster.isNew).length
+            };
+            console.log(`🔗 Linked ${resolved.linked} entities, ${resolved.created} new canonical entities`);
+            return resolved;
+        });
+    }
+
+    // Drops canonical entities no entity links to any more and refreshes the aliases of the rest
+    async pruneCanonicalEntities() {
+        const removed = await this.deleteInBatches(
+            'MATCH (n:CanonicalEntity {namespace: $namespace}) WHERE NOT (:Entity)-[:SAME_AS]->(n)'
+        );
+        await this.runQuery(`
+            MATCH (ce:CanonicalEntity {namespace: $namespace})<-[:SAME_AS]-(e:Entity)
+            WITH ce, collect(DISTINCT e.text) AS aliases
+            SET ce.aliases = aliases
+        `);
+        return removed;
+    }
+
+    // Clusters the namespace's entity graph into communities, replacing earlier ones, and has the chat
+    // model summarize each for globalSearch(). Entities linked to the same canonical entity are one node,
+    // so communities span documents. Run it again after ingesting; unchanged communities come from the cache.
+    // Returns { algorithm, communities, summarized, failed }.
+    async buildCommunities() {
+        return this.communitySlots(async () => {
+            console.log('🧩 Detecting communities...');
+            const { algorithm, groups } = await this.detectEntityCommunities();
+            const communities = groups
+                .filter(group => group.length >= this.config.communityMinSize)
+                .map(entityIds => ({ communityId: uuidv4(), size: entityIds.length, entityIds }));
+
+            await this.deleteInBatches('MATCH (n:Community {namespace: $namespace})');
+
+            // Written in batches of about BATCH_SIZE entities
+            const now = new Date().toISOString();
+            for (let start = 0; start < communities.length;) {
+                const batch = [];
+                for (let members = 0; start < communities.length && (batch.length === 0 || members + communities[start].size <= BATCH_SIZE); start++) {
+                    batch.push(communities[start]);
+                    members += communities[start].size;
+                }
+
+                await this.runQuery(`
+                    UNWIND $communities AS community
+                    CREATE (c:Community {communityId: community.communityId, namespace: $namespace,
+                                         size: community.size, algorithm: $algorithm, created: $now})
+                    WITH c, community
+                    UNWIND community.entityIds AS entityId
+                    MATCH (e:Entity) WHERE elementId(e) = entityId
+                    CREATE (e)-[:IN_COMMUNITY]->(c)
+                    WITH c, collect(DISTINCT e.documentId) AS documentIds
+                    SET c.documentIds = documentIds
+                `, { communities: batch, algorithm, now });
+            }
+
+            let failed = 0;
+            await runWithConcurrency(communities, this.config.ingestionConcurrency, async ({ communityId }) => {
+                try {
+                    await this.writeCommunitySummary(communityId);
+                } catch (error) {
+                    console.warn(`⚠️ Summarizing community ${communityId} failed:`, error.message);
+                    failed++;
+                }
+            });
+
+            const built = { algorithm, communities: communities.length, summarized: communities.length - failed, failed };
+            console.log(`✅ Built ${built.communities} communities with ${algorithm}, ${built.summarized} summarized`);
+            return built;
+        });
+    }
+
+    // Groups of Entity element ids, largest first. Keyed by canonical entity when there is one.
+    async detectEntityCommunities() {
+        const entities = await this.runQuery(`
+            MATCH (e:Entity {namespace: $namespace})
+            OPTIONAL MATCH (e)-[:SAME_AS]->(ce:CanonicalEntity)
+            RETURN elementId(e) AS entityId, coalesce(ce.canonicalId, elementId(e)) AS key
+        `);
+
+        let algorithm = this.config.communityAlgorithm;
+        let assignment = null;
+        if (algorithm === 'gds' || algorithm === 'auto') {
+            try {
+                assignment = await this.detectCommunitiesWithGDS();
+                algorithm = 'leiden';
+            } catch (error) {
+                if (algorithm === 'gds') {
+                    throw error;
+                }
+                if (this.debug) {
+                    console.log('Graph Data Science not available, using Louvain:', error.message);
+                }
+            }
+        } else if (algorithm !== 'louvain') {
+            throw new Error(`Unknown community algorithm ${algorithm}, expected auto, gds or louvain`);
+        }
+
+        if (!assignment) {
+            const edges = await this.runQuery(`
+                MATCH (a:Entity {namespace: $namespace})-[r]->(b:Entity {namespace: $namespace})
+                OPTIONAL MATCH (a)-[:SAME_AS]->(ca:CanonicalEntity)
+                OPTIONAL MATCH (b)-[:SAME_AS]->(cb:CanonicalEntity)
+                RETURN coalesce(ca.canonicalId, elementId(a)) AS source,
+                       coalesce(cb.canonicalId, elementId(b)) AS target,
+                       count(r) AS weight
+            `);
+            const keys = [...new Set(entities.records.map(record => record.get('key')))];
+            assignment = detectCommunities(keys, edges.records.map(record => ({
+                source: record.get('source'),
+                target: record.get('target'),
+                weight: record.get('weight').toNumber()
+            })), { resolution: this.config.communityResolution });
+            algorithm = 'louvain';
+        }
+
+        const groups = new Map();
+        for (const record of entities.records) {
+            const community = assignment.get(record.get('key'));
+            if (community !== undefined) {
+                groups.set(community, [...(groups.get(community) || []), record.get('entityId')]);
+            }
+        }
+        return { algorithm, groups: [...groups.values()].sort((a, b) => b.length - a.length) };
+    }
+
+    // Map(key -> community) from Leiden in Neo4j Graph Data Science; throws when the plugin is missing
+    async detectCommunitiesWithGDS() {
+        const graphName = `docugraphrag-communities-${uuidv4()}`;
+        await this.runQuery(`
+            MATCH (a:Entity {namespace: $namespace})-[r]->(b:Entity {namespace: $namespace})
+            OPTIONAL MATCH (a)-[:SAME_AS]->(ca:CanonicalEntity)
+            OPTIONAL MATCH (b)-[:SAME_AS]->(cb:CanonicalEntity)
+            WITH coalesce(ca, a) AS source, coalesce(cb, b) AS target, count(r) AS weight
+            WITH gds.graph.project($graphName, source, target,
+                {relationshipProperties: {weight: toFloat(weight)}},
+                {undirectedRelationshipTypes: ['*']}) AS graph
+            RETURN graph.nodeCount AS nodes
+        `, { graphName });
+
+        try {
+            const result = await this.runQuery(`
+                CALL gds.leiden.stream($graphName, {relationshipWeightProperty: 'weight', gamma: toFloat($resolution)})
+                YIELD nodeId, communityId
+                WITH gds.util.asNode(nodeId) AS node, communityId
+                RETURN CASE WHEN node:CanonicalEntity THEN node.canonicalId ELSE elementId(node) END AS key,
+                       communityId
+            `, { graphName, resolution: this.config.communityResolution });
+            return new Map(result.records.map(record => [record.get('key'), record.get('communityId').toNumber()]));
+        } finally {
+            await this.runQuery('CALL gds.graph.drop($graphName, false) YIELD graphName RETURN graphName', { graphName });
+        }
+    }
+
+    // Title, summary and importance of one community from its entities, their relationships and
+    // the chunks that mention most of them
+    async writeCommunitySummary(communityId) {
+        const result = await this.runQuery(`
+            MATCH (c:Community {communityId: $communityId, namespace: $namespace})<-[:IN_COMMUNITY]-(e:Entity)
+            WITH c, collect(DISTINCT {name: e.text, type: e.type}) AS entities
+            WITH c, entities,
+                 [(c)<-[:IN_COMMUNITY]-(a:Entity)-[r]->(b:Entity)-[:IN_COMMUNITY]->(c) |
+                     {from: a.text, type: type(r), to: b.text}] AS relationships
+            OPTIONAL MATCH (c)<-[:IN_COMMUNITY]-(:Entity)<-[:APPEARS_IN]-(chunk:DocumentChunk)
+            WITH entities, relationships, chunk, count(*) AS mentions
+            ORDER BY mentions DESC
+            RETURN entities, relationships, collect(chunk.content)[..3] AS excerpts
+        `, { communityId });
+        if (result.records.length === 0) {
+            return null;
+        }
+
+        const report = await summarizeCommunity(this.llm, result.records[0].toObject());
+        await this.runQuery(`
+            MATCH (c:Community {communityId: $communityId, namespace: $namespace})
+            SET c.title = $title, c.summary = $summary, c.importance = $importance, c.updated = $now
+        `, { communityId, ...report, now: new Date().toISOString() });
+        return report;
+    }
+
+    // Drops communities whose entities are all gone and refreshes the size and documents of the rest.
+    // Summaries are only rewritten by buildCommunities().
+    async pruneCommunities() {
+        const removed = await this.deleteInBatches(
+            'MATCH (n:Community {namespace: $namespace}) WHERE NOT (:Entity)-[:IN_COMMUNITY]->(n)'
+        );
+        await this.runQuery(`
+            MATCH (c:Community {namespace: $namespace})<-[:IN_COMMUNITY]-(e:Entity)
+            WITH c, count(e) AS size, collect(DISTINCT e.documentId) AS documentIds
+            SET c.size = size, c.documentIds = documentIds
+        `);
+        return removed;
+    }
+
+    // Garbage collection: chunks whose document is gone, entities no chunk mentions and
+    // canonical entities and communities nothing links to
+    async removeOrphans() {
+        const chunks = await this.deleteInBatches(
+            'MATCH (n:DocumentChunk {namespace: $namespace}) WHERE NOT (:Document)-[:HAS_CHUNK]->(n)'
+        );
+        const entities = await this.deleteInBatches(
+            'MATCH (n:Entity {namespace: $namespace}) WHERE NOT (:DocumentChunk)-[:APPEARS_IN]->(n)'
+        );
+        const canonicalEntities = await this.pruneCanonicalEntities();
+        const communities = await this.pruneCommunities();
+        return { chunks, entities, canonicalEntities, communities };
+    }
+
+    // match must bind the nodes to delete as `n`; returns how many were deleted
+    async deleteInBatches(match, params = {}, options = {}) {
+        let total = 0;
+        while (true) {
+            const result = await this.runQuery(
+                `${match} WITH n LIMIT $batchSize DETACH DELETE n RETURN count(*) AS deleted`,
+                { ...params, batchSize: neo4j.int(BATCH_SIZE) },
+                options
+            );
+            const deleted = result.records[0].get('deleted').toNumber();
+            total += deleted;
+            if (deleted < BATCH_SIZE) {
+                return total;
+            }
+        }
+    }
+
+    async getDocumentsById(documentIds) {
+        const result = await this.runQuery(
+            'MATCH (d:Document {namespace: $namespace}) WHERE d.documentId IN $documentIds RETURN d.documentId AS documentId, d.fileName AS fileName, d.metadata AS metadata',
+            { documentIds }
+        );
+
+        return new Map(result.records.map(record => [
+            record.get('documentId'),
+            {
+                documentId: record.get('documentId'),
+                fileName: record.get('fileName'),
+                metadata: record.get('metadata') ? JSON.parse(record.get('metadata')) : null
+            }
+        ]));
+    }
+
+    formatContextForLLM(mergedContext, sources = []) {
         let formattedContext = '';
 
         // Group contexts by type
@@ -258,10 +2038,17 @@ export class DocuGraphRAG {
             graph: 'Graph Search'
         };
 
-        for (const context of mergedContext) {
-            // Use the weightedScore property instead of score
-            const score = context.weightedScore || 0;
-            formattedContext += `\n### Context (Score: ${score.toFixed(3)})\n`;
+        mergedContext.forEach((context, i) => {
+            // Prefer the re-ranker's judgement over the fused score
+            const score = context.rerankScore ?? context.score ?? 0;
+            const source = sources[i];
+            formattedContext += source
+                ? `\n### [${source.id}] ${source.label} (Score: ${score.toFixed(3)})\n`
+                : `\n### Context (Score: ${score.toFixed(3)})\n`;
+
+            if (context.headingPath?.length > 0) {
+                formattedContext += `Section: ${context.headingPath.join(' > ')}\n`;
+            }
 
             // Add content
             if (context.content) {
@@ -280,30 +2067,122 @@ export class DocuGraphRAG {
             if (context.relationships?.length > 0) {
                 formattedContext += '\nRelationships:\n';
                 context.relationships.forEach(rel => {
-                    formattedContext += `- ${rel.fromEntity} ${rel.type} ${rel.toEntity}\n`;
+                    formattedContext += `- ${rel.from} ${rel.type} ${rel.to}\n`;
                 });
             }
 
             formattedContext += '\n---\n';
-        }
+        });
 
         return formattedContext;
     }
 
+    // Databases namespaces can store data in: the root instance's, the ones a { namespace: database }
+    // map names and those of the namespace views opened so far
+    knownDatabases() {
+        const root = this.root;
+        return [...new Set([
+            root.database,
+            ...mappedDatabases(root.config.database),
+            ...[...root.scopes.values()].map(scope => scope.database)
+        ])];
+    }
+
+    // Namespaces that have documents in any of the known databases
+    async listNamespaces() {
+        const namespaces = new Set();
+        for (const database of this.knownDatabases()) {
+            const result = await this.runQuery('MATCH (d:Document) RETURN DISTINCT d.namespace AS namespace', {}, { database });
+            result.records.forEach(record => namespaces.add(record.get('namespace')));
+        }
+        return [...namespaces].sort();
+    }
+
+    // Deletes everything stored under this namespace; other namespaces and the connection are left alone
+    async clearNamespace() {
+        for (const label of Object.values(NODE_LABELS)) {
+            await this.deleteInBatches(`MATCH (n:${label} {namespace: $namespace})`);
+        }
+        return true;
+    }
+
+    // Deletes everything this library stored in the known databases, for every namespace, leaving other
+    // data alone, then closes the connection. On a withNamespace() view it only clears that namespace.
     async cleanup() {
         if (this.driver) {
-            const session = this.driver.session();
             try {
-                await session.run('MATCH (n) DETACH DELETE n');
+                for (const database of this.knownDatabases()) {
+                    for (const label of Object.values(NODE_LABELS)) {
+                        await this.deleteInBatches(`MATCH (n:${label})`, {}, { database });
+                    }
+                }
             } finally {
-                await session.close();
-                await this.driver.close();
+                await this.close();
             }
+        }
+        return true;
+    }
+
+    // Closes the connection and keeps the data
+    async close() {
+        if (this.driver) {
+            await this.driver.close();
             this.driver = null;
             this.initialized = false;
             this.processor = null;
             this.llm = null;
+            this.preparedDatabases.clear();
         }
-        return true;
     }
+}
+
+// search(), globalSearch() and cypherSearch() need documents to search, by id or by metadata
+function assertDocumentScope(documentIds, filter) {
+    if (documentIds != null && !Array.isArray(documentIds)) {
+        throw new Error('documentIds must be an array');
+    }
+    if (!documentIds?.length && filter == null) {
+        throw new Error('At least one document ID or a filter is required');
+    }
+}
+
+// Raw bytes of a processDocument() input, for duplicate detection
+function documentBytes(input) {
+    if (typeof input === 'string') {
+        return input;
+    }
+    const data = input && typeof input === 'object' && input.buffer && !ArrayBuffer.isView(input) ? input.buffer : input;
+    return Buffer.from(data ?? '');
+}
+
+// Context blocks for a global answer: the points taken from each community, under its citation number
+function formatCommunityContext(points, sources) {
+    return sources.map(source => {
+        const lines = points
+            .filter(point => point.communityId === source.communityId)
+            .map(point => `- ${point.description} (Score: ${point.score})`);
+        return `\n### [${source.id}] ${source.label}\n${lines.join('\n')}\n\n---\n`;
+    }).join('');
+}
+
+// Neo4j integers and duplicate graph entities made JSON-friendly
+function toPlainChunk(chunk, documents) {
+    const entities = new Map();
+    for (const entity of chunk.entities || []) {
+        entities.set(`${entity.type}:${entity.text}`, { text: entity.text, type: entity.type });
+    }
+
+    const relationships = new Map();
+    for (const rel of chunk.relationships || []) {
+        relationships.set(`${rel.from}:${rel.type}:${rel.to}`, rel);
+    }
+
+    return {
+        ...chunk,
+        chunkIndex: neo4j.isInt(chunk.chunkIndex) ? chunk.chunkIndex.toNumber() : chunk.chunkIndex ?? null,
+        fileName: documents.get(chunk.documentId)?.fileName ?? null,
+        metadata: documents.get(chunk.documentId)?.metadata ?? null,
+        entities: [...entities.values()],
+        relationships: [...relationships.values()]
+    };
 }
\ No newline at end of file
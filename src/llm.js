@@ -1,143 +1,251 @@
-import OpenAI from 'openai';
+import neo4j from 'neo4j-driver';
+import { OpenAIProvider, createProvider } from './providers.js';
+import { FULLTEXT_INDEX_NAME, buildFulltextQuery, extractSearchTerms } from './fulltext.js';
+import { cacheKey } from './cache.js';
+import { DEFAULT_NAMESPACE } from './namespaces.js';
+import { applyOntology, describeOntology } from './ontology.js';
+import { requestStructured, StructuredOutputError } from './structured.js';
+import { toEntityLabel, toPropertyKey, toRelationshipType } from './naming.js';
+import { compileFilter } from './filters.js';
+import { DEFAULT_PROMPTS, resolvePrompts, renderPrompt, resolveAnswerStyle, describeLanguage } from './prompts.js';
+
+// Chunk properties returned by every search query, read back with toChunk()
+const CHUNK_FIELDS = `
+    c.content AS content,
+    c.documentId AS documentId,
+    c.index AS chunkIndex,
+    c.pageStart AS pageStart,
+    c.pageEnd AS pageEnd,
+    c.startOffset AS startOffset,
+    c.endOffset AS endOffset,
+    c.headingPath AS headingPath`;
+
+// Entity properties that identify the node; extracted properties may not overwrite them
+const ENTITY_KEYS = new Set(['text', 'type', 'documentId', 'namespace']);
+
+// Extraction replies are checked against these before anything is written to the graph
+const GRAPH_SCHEMA = {
+    type: 'object',
+    required: ['entities', 'relationships'],
+    properties: {
+        entities: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['text', 'type'],
+                properties: {
+                    text: { type: ['string', 'number'] },
+                    type: { type: 'string' },
+                    properties: { type: 'object' }
+                }
+            }
+        },
+        relationships: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['from', 'fromType', 'to', 'toType', 'type'],
+                properties: {
+                    from: { type: ['string', 'number'] },
+                    fromType: { type: 'string' },
+                    to: { type: ['string', 'number'] },
+                    toType: { type: 'string' },
+                    type: { type: 'string' },
+                    confidence: { type: ['number', 'string'] }
+                }
+            }
+        }
+    }
+};
+
+const QUESTION_ENTITIES_SCHEMA = {
+    type: 'object',
+    required: ['entities'],
+    properties: {
+        entities: { type: 'array', items: { type: 'string' } }
+    }
+};
 
 export class LLMService {
     constructor(config = {}) {
         this.config = {
             temperature: 0.1,
+            similarityThreshold: 0.1,
+            vectorSearchTopK: 5,
+            // How many index hits to fetch per requested result before filtering by document; the fetch
+            // widens while too few survive, up to vectorMaxCandidates, then a Cypher scan takes over
+            vectorCandidateMultiplier: 10,
+            vectorMaxCandidates: 2000,
+            textSearchMode: 'terms',
+            textSearchTopK: 5,
+            // Corrections requested when a reply is not valid JSON of the expected shape
+            structuredOutputRetries: 2,
+            // Add a label per entity type, e.g. (:Entity:Person)
+            entityLabels: true,
             ...config
         };
 
         // Use the provided driver instance
         this.driver = config.driver;
 
-        this.openai = new OpenAI({
-            apiKey: this.config.openaiApiKey,
-            maxRetries: 3,
-            dangerouslyAllowBrowser: true,
-            debug: false
-        });
+        // Name of the native vector index, set by DocuGraphRAG.initialize() when available
+        this.vectorIndex = config.vectorIndex || null;
 
-        // Define the system prompt for entity and relationship extraction
-        this.systemPrompt = `You are an expert at extracting entities and relationships from text.
-Your task is to analyze the given text and extract relevant entities and their relationships based on the analysis focus.
-
-Return ONLY a valid JSON object in this format:
-{
-    "entities": [
-        {
-            "text": "exact text from document",
-            "type": "PERSON|ORGANIZATION|LOCATION|DATE|etc",
-            "properties": {
-                "key1": "value1",
-                "key2": "value2"
-                // Additional properties specific to the entity type
-            }
-        }
-    ],
-    "relationships": [
-        {
-            "from": "exact text of source entity",
-            "fromType": "type of source entity",
-            "to": "exact text of target entity",
-            "toType": "type of target entity",
-            "type": "WORKS_FOR|LOCATED_IN|MANAGES|etc"
-        }
-    ]
-}
+        // Chat and embedding backend; OpenAI unless a provider is supplied
+        this.provider = resolveProvider(this.config);
+
+        // Embeddings and extraction results keyed by content hash, see src/cache.js
+        this.cache = config.cache || null;
+
+        // Queries only see nodes of this namespace, in this database (null: driver default)
+        this.namespace = config.namespace || DEFAULT_NAMESPACE;
+        this.database = config.database || null;
+        this.prepare = null;
 
-IMPORTANT:
-1. Extract ONLY entities and relationships that are RELEVANT to the analysis focus
-2. Use the EXACT text from the document for entity names
-3. Choose appropriate entity types based on the context
-4. Create meaningful relationships between entities
-5. All property values must be primitive types (string, number, boolean)
-6. Do not use nested objects in properties
-7. Ensure relationship endpoints reference existing entities
-8. Do not include duplicate entities (same text and type)`;
-
-        this.model = this.config.model;
+        // Prompt templates, see src/prompts.js; methods take per-call overrides as options.prompts
+        this.prompts = resolvePrompts(DEFAULT_PROMPTS, config.prompts);
     }
 
-    async makeOpenAIRequest(messages = [], options = {}) {
-        try {
-            const response = await this.openai.chat.completions.create({
-                model: "gpt-4",
-                messages,
-                temperature: this.config.temperature,
-                stream: options.stream ?? false,
-                ...options
-            });
+    // Same service for another namespace; shares the provider and configuration.
+    // prepare() runs before each query, e.g. to create indexes in the namespace's database.
+    withScope({ namespace, database = null, cache = this.cache, prepare = null }) {
+        const scoped = Object.create(this);
+        scoped.namespace = namespace;
+        scoped.database = database;
+        scoped.cache = cache;
+        scoped.prepare = prepare;
+        return scoped;
+    }
 
-            return response.choices[0]?.message?.content;
+    async makeChatRequest(messages = [], options = {}) {
+        return this.provider.chat(messages, {
+            temperature: this.config.temperature,
+            ...options
+        });
+    }
 
-        } catch (error) {
-            throw error;
-        }
+    // JSON reply checked against options.schema, see requestStructured()
+    async requestJSON(messages, options = {}) {
+        return requestStructured(this.provider, messages, {
+            temperature: this.config.temperature,
+            retries: this.config.structuredOutputRetries,
+            ...options
+        });
     }
 
     async generateEmbedding(text) {
-        try {
-            const response = await this.openai.embeddings.create({
-                model: "text-embedding-3-small",
-                input: text,
-                dimensions: 1536
-            });
-
-            return response.data[0].embedding;
-        } catch (error) {
-            throw error;
-        }
+        const key = cacheKey('embedding', this.namespace, this.provider.config?.embeddingModel, this.provider.embeddingDimensions, text);
+        return this.cached(key, () => this.provider.embed(text));
     }
 
-    async processTextToGraph(text, documentId, chunkIndex, analysisDescription, embedding) {
+    // Raw entities and relationships for a chunk; identical text, focus, ontology and prompts are only sent to the model once.
+    // ontology: normalized by normalizeOntology(), null for free-form extraction; prompts: template overrides
+    async extractGraph(text, analysisDescription, ontology = null, prompts = null) {
+        const templates = resolvePrompts(this.prompts, prompts);
+        const extractionPrompt = renderPrompt(templates, 'extraction');
+        const systemPrompt = ontology ? `${extractionPrompt}
+
+${describeOntology(ontology)}` : extractionPrompt;
         const messages = [
-            { role: "system", content: this.systemPrompt },
-            {
-                role: "user",
-                content: `Given this text and analysis focus, extract entities and relationships:\n\nText: ${text}\n\nAnalysis focus: ${analysisDescription}`
-            }
+            { role: "system", content: systemPrompt },
+            { role: "user", content: renderPrompt(templates, 'extractionInput', { text, analysisDescription }) }
         ];
 
-        const content = await this.makeOpenAIRequest(messages);
+        // The input template only joins the key when it is customized, so cached results stay valid
+        const inputTemplate = templates.extractionInput !== DEFAULT_PROMPTS.extractionInput ? [templates.extractionInput] : [];
+        const key = cacheKey('extraction', this.namespace, this.provider.config?.chatModel, systemPrompt, analysisDescription, text, ...inputTemplate);
+        return this.cached(key, async () => {
+
+            // A missing list is an empty one, not worth another round trip
+            return this.requestJSON(messages, {
+                schema: GRAPH_SCHEMA,
+                normalize: value => value && typeof value === 'object' && !Array.isArray(value)
+                    ? { entities: [], relationships: [], ...value }
+                    : value
+            });
+        });
+    }
+
+    async cached(key, compute) {
+        if (!this.cache) {
+            return compute();
+        }
 
-        const parsedResponse = JSON.parse(content);
+        const hit = await this.cache.get(key);
+        if (hit !== undefined && hit !== null) {
+            return hit;
+        }
+
+        const value = await compute();
+        // The value is still good when it can't be cached
+        try {
+            await this.cache.set(key, value);
+        } catch (error) {
+            console.warn('⚠️ Could not write to the cache:', error.message);
+        }
+        return value;
+    }
+
+    // Returns the Cypher to store a chunk's graph, plus what an ontology rejected or remapped
+    async processTextToGraph(text, documentId, chunkIndex, analysisDescription, ontology = null, prompts = null) {
+        const parsedResponse = await this.extractGraph(text, analysisDescription, ontology, prompts);
         let entities = parsedResponse.entities || [];
         let relationships = parsedResponse.relationships || [];
+        let rejected = [];
+        let remapped = [];
+
+        // Output outside the ontology is remapped to a known type or dropped
+        if (ontology) {
+            ({ entities, relationships, rejected, remapped } = applyOntology(ontology, { entities, relationships }));
+        }
 
         // Validate and sanitize entity properties
         entities = entities.map(e => {
             const baseProps = {
                 text: String(e.text).trim(),
                 type: String(e.type).trim(),
-                documentId: documentId // Add documentId to entity properties
+                documentId: documentId, // Add documentId to entity properties
+                namespace: this.namespace
             };
 
-            // Add all properties from the entity
+            // Add all properties from the entity, under keys usable in Cypher without quoting
             if (e.properties && typeof e.properties === 'object') {
-                for (const [key, value] of Object.entries(e.properties)) {
-                    if (value != null) {
-                        baseProps[key] = String(value).trim();
+                for (const [name, value] of Object.entries(e.properties)) {
+                    const key = toPropertyKey(name);
+                    if (value != null && key && !ENTITY_KEYS.has(key)) {
+                        // Ontology properties are already coerced to their declared type
+                        baseProps[key] = ontology && typeof value !== 'object' ? value : String(value).trim();
                     }
                 }
             }
 
-            return baseProps;
+            const label = this.config.entityLabels ? toEntityLabel(baseProps.type) : null;
+            return { properties: baseProps, labels: label ? [label] : [] };
         });
 
-        relationships = relationships.map(r => ({
-            from: String(r.from).trim(),
-            fromType: String(r.fromType).trim(),
-            to: String(r.to).trim(),
-            toType: String(r.toType).trim(),
-            type: String(r.type).trim(),
-            documentId: documentId // Add documentId to relationship properties
-        }));
+        relationships = relationships.map(r => {
+            const originalType = String(r.type).trim();
+            const type = toRelationshipType(originalType);
+            const confidence = Number(r.confidence);
+
+            return {
+                from: String(r.from).trim(),
+                fromType: String(r.fromType).trim(),
+                to: String(r.to).trim(),
+                toType: String(r.toType).trim(),
+                type,
+                // Kept when sanitizing changed more than the spelling
+                originalType: type === originalType ? null : originalType,
+                confidence: r.confidence != null && Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+                documentId: documentId // Add documentId to relationship properties
+            };
+        });
 
         // Full query with entities and relationships
         const query = `
             // First match the existing document chunk
-            MATCH (d:Document {documentId: $documentId})
-            MATCH (c:DocumentChunk {documentId: $documentId, index: $chunkIndex})
+            MATCH (d:Document {documentId: $documentId, namespace: $namespace})
+            MATCH (c:DocumentChunk {documentId: $documentId, namespace: $namespace, index: $chunkIndex})
             SET c += {
                 hasEntities: true,
                 lastUpdated: datetime()
@@ -147,29 +255,49 @@ IMPORTANT:
             WITH c
             UNWIND $entities as entity
             CALL apoc.merge.node(['Entity'], 
-                {text: entity.text, type: entity.type, documentId: entity.documentId}, 
-                entity
+                {
+                    text: entity.properties.text,
+                    type: entity.properties.type,
+                    documentId: entity.properties.documentId,
+                    namespace: entity.properties.namespace
+                }, 
+                entity.properties
             ) YIELD node
+            // Type labels are added after merging on Entity alone, so nodes stored without them are still found
+            CALL apoc.create.addLabels(node, entity.labels) YIELD node as labeled
             // Create APPEARS_IN relationship from chunk to entity
             MERGE (c)-[:APPEARS_IN]->(node)
 
             // Finally create or merge relationships between entities using APOC with all properties
             WITH c, collect(node) as entityNodes
             UNWIND $relationships as rel
-            MATCH (e1:Entity {text: rel.from, type: rel.fromType, documentId: rel.documentId})
-            MATCH (e2:Entity {text: rel.to, type: rel.toType, documentId: rel.documentId})
+            MATCH (e1:Entity {text: rel.from, type: rel.fromType, documentId: rel.documentId, namespace: $namespace})
+            MATCH (e2:Entity {text: rel.to, type: rel.toType, documentId: rel.documentId, namespace: $namespace})
             CALL apoc.merge.relationship(e1, rel.type, 
                 {type: rel.type, documentId: rel.documentId}, 
                 {
                     type: rel.type,
+                    originalType: rel.originalType,
                     fromType: rel.fromType,
                     toType: rel.toType,
                     documentId: rel.documentId,
+                    namespace: $namespace,
                     created: datetime(),
                     lastUpdated: datetime()
                 }, 
                 e2
             ) YIELD rel as r
+            // Remember which chunks support the relationship, so updates can drop it when they are gone
+            SET r.chunkIds = CASE
+                WHEN c.chunkId IS NULL OR c.chunkId IN coalesce(r.chunkIds, []) THEN r.chunkIds
+                ELSE coalesce(r.chunkIds, []) + c.chunkId
+            END,
+            // The most confident of the chunks that support it
+            r.confidence = CASE
+                WHEN rel.confidence IS NULL THEN r.confidence
+                WHEN r.confidence IS NULL OR rel.confidence > r.confidence THEN rel.confidence
+                ELSE r.confidence
+            END
             RETURN c, count(r) as relationshipCount, count(entityNodes) as entityCount
         `;
 
@@ -177,52 +305,151 @@ IMPORTANT:
             documentId,
             chunkIndex,
             text,
-            embedding,
             entities,
             relationships
         };
 
-        return { query, params };
+        return { query, params, rejected, remapped };
     }
 
-    async generateAnswer(question, context) {
-        const response = await this.openai.chat.completions.create({
-            model: "gpt-4",
-            messages: [
-                {
-                    role: "system",
-                    content: `You are a helpful assistant that answers questions based on the provided context. 
-Format your responses using markdown:
-- Use **bold** for emphasis and important points
-- Use bullet points (•) for lists
-- Use > for quotes or important excerpts
-- Use \`code\` for technical terms or values
-- Use --- for separating sections
-- Use emojis 🎯 to make the response more engaging
-- Structure your response with clear sections when appropriate
-
-Use only the information from the context to answer questions. If you cannot find the answer in the context, say so.`
-                },
-                {
-                    role: "user",
-                    content: `Context:\n${context}\n\nQuestion: ${question}\n\nProvide a clear and well-formatted answer:`
-                }
-            ],
-            temperature: 0.7,
-            stream: true
-        });
+    // options: prompts (template overrides), style (see ANSWER_STYLES in src/prompts.js), language,
+    // temperature (the style's by default)
+    async generateAnswer(question, context, history = [], options = {}) {
+        const templates = resolvePrompts(this.prompts, options.prompts);
+        const style = resolveAnswerStyle(options.style);
+
+        const response = await this.provider.streamChat([
+            {
+                role: "system",
+                content: renderPrompt(templates, 'answer', {
+                    style: style.instructions,
+                    language: describeLanguage(options.language)
+                })
+            },
+            // Earlier turns of the conversation, oldest first
+            ...history.map(({ role, content }) => ({ role, content })),
+            {
+                role: "user",
+                content: renderPrompt(templates, 'answerInput', { context, question, request: style.request })
+            }
+        ], { temperature: options.temperature ?? style.temperature });
         return response;
     }
 
-    // Add a method to search using vector similarity
-    async searchSimilarVectors(questionEmbedding, documentIds) {
-        const session = this.driver.session();
+    // Condenses the conversation and a follow-up into a question that stands on its own
+    async rewriteQuestion(question, history = [], options = {}) {
+        if (history.length === 0) {
+            return question;
+        }
+
+        const transcript = history
+            .map(({ role, content }) => `${role === 'assistant' ? 'Assistant' : 'User'}: ${content}`)
+            .join('\n');
+
+        const templates = resolvePrompts(this.prompts, options.prompts);
+        const messages = [
+            { role: "system", content: renderPrompt(templates, 'rewrite') },
+            { role: "user", content: renderPrompt(templates, 'rewriteInput', { transcript, question }) }
+        ];
+
+        const rewritten = await this.makeChatRequest(messages, { temperature: 0 });
+        return rewritten?.trim() || question;
+    }
+
+    // Search chunks by vector similarity, through the vector index when there is one
+    // documentIds: null searches every document; options.filter: metadata filter, see src/filters.js
+    async searchSimilarVectors(questionEmbedding, documentIds, options = {}) {
+        const topK = options.topK ?? this.config.vectorSearchTopK;
+        const threshold = options.threshold ?? this.config.similarityThreshold;
+        const filter = compileFilter(options.filter, 'c');
+
+        if (this.vectorIndex) {
+            try {
+                return await this.searchVectorIndex(questionEmbedding, documentIds, topK, threshold, filter);
+            } catch (error) {
+                console.warn('⚠️ Vector index search failed, falling back to Cypher scan:', error.message);
+            }
+        }
+
+        return this.searchVectorScan(questionEmbedding, documentIds, topK, threshold, filter);
+    }
+
+    // filter: compiled by compileFilter() for `c`
+    async searchVectorIndex(questionEmbedding, documentIds, topK, threshold, filter) {
+        // The index is global, so candidates are over-fetched and post-filtered by document and metadata.
+        // A small tenant or document in a large database can lose every candidate to other chunks.
+        let candidates = topK * this.config.vectorCandidateMultiplier;
+        while (true) {
+            const { chunks, fetched, lowest } = await this.queryVectorIndex(questionEmbedding, documentIds, topK, threshold, filter, candidates);
+
+            // Enough results, or nothing left above the threshold that a wider fetch could find
+            if (chunks.length >= topK || fetched < candidates || lowest <= threshold) {
+                return chunks;
+            }
+            if (candidates >= this.config.vectorMaxCandidates) {
+                return this.searchVectorScan(questionEmbedding, documentIds, topK, threshold, filter);
+            }
+            candidates = Math.min(candidates * 4, this.config.vectorMaxCandidates);
+        }
+    }
+
+    // One index lookup; also returns how many hits it fetched and the lowest similarity among them
+    async queryVectorIndex(questionEmbedding, documentIds, topK, threshold, filter, candidates) {
+        const query = `
+            CALL db.index.vector.queryNodes($indexName, $candidates, $embedding)
+            YIELD node AS c, score
+
+            // Index scores are (1 + cosine) / 2; convert back to cosine similarity
+            WITH c, 2 * score - 1 AS similarity
+            WITH count(*) AS fetched, min(similarity) AS lowest,
+                 collect(CASE WHEN ($documentIds IS NULL OR c.documentId IN $documentIds)
+                               AND c.namespace = $namespace
+                               AND ${filter.cypher}
+                               AND similarity > $threshold
+                          THEN {c: c, similarity: similarity} END) AS matches
+
+            // One row without a chunk when nothing matches, so the counts still come back
+            UNWIND CASE WHEN size(matches) = 0 THEN [null] ELSE matches END AS hit
+            WITH fetched, lowest, hit.c AS c, hit.similarity AS similarity
+            RETURN 
+                ${CHUNK_FIELDS},
+                similarity AS score,
+                fetched,
+                lowest
+            ORDER BY similarity DESC
+            LIMIT $topK
+        `;
+
+        const result = await this.runQuery(query, {
+            ...filter.params,
+            indexName: this.vectorIndex,
+            candidates: neo4j.int(candidates),
+            embedding: questionEmbedding,
+            documentIds,
+            threshold,
+            topK: neo4j.int(topK)
+        });
+
+        const first = result.records[0];
+        const fetched = first?.get('fetched');
+        return {
+            chunks: result.records
+                .filter(record => record.get('score') !== null)
+                .map(record => ({ ...toChunk(record), score: record.get('score') })),
+            fetched: neo4j.isInt(fetched) ? fetched.toNumber() : fetched ?? 0,
+            lowest: first?.get('lowest') ?? -1
+        };
+    }
+
+    // Fallback for Neo4j versions without vector indexes: full scan in Cypher
+    async searchVectorScan(questionEmbedding, documentIds, topK, threshold, filter) {
         try {
             // Use native cosine similarity calculation with lower threshold
             const query = `
                 // Match chunks from specified documents
-                MATCH (c:DocumentChunk)
-                WHERE c.documentId IN $documentIds
+                MATCH (c:DocumentChunk {namespace: $namespace})
+                WHERE ($documentIds IS NULL OR c.documentId IN $documentIds)
+                  AND ${filter.cypher}
                   AND c.embedding IS NOT NULL
 
                 // Calculate cosine similarity using dot product and magnitudes
@@ -237,51 +464,103 @@ Use only the information from the context to answer questions. If you cannot fin
                             mag2 + $embedding[i] * $embedding[i]
                         ))
                      ) AS similarity
-                WHERE similarity > 0.1
+                WHERE similarity > $threshold
 
                 // Return results ordered by similarity
                 RETURN 
-                    c.content AS content,
-                    c.documentId AS documentId,
+                    ${CHUNK_FIELDS},
                     similarity AS score
                 ORDER BY similarity DESC
-                LIMIT 5
+                LIMIT $topK
             `;
 
-            const result = await session.run(query, {
+            const result = await this.runQuery(query, {
+                ...filter.params,
                 documentIds,
-                embedding: questionEmbedding
+                embedding: questionEmbedding,
+                threshold,
+                topK: neo4j.int(topK)
             });
 
             return result.records.map(record => ({
-                content: record.get('content'),
-                documentId: record.get('documentId'),
+                ...toChunk(record),
                 score: record.get('score')
             }));
         } catch (error) {
             return [];
-        } finally {
-            await session.close();
         }
     }
 
-    async searchSimilarChunks(question, _, documentIds) {
-        const session = this.driver.session();
+    // Full-text search through the chunk_content index, scores normalized to 0..1
+    async searchSimilarChunks(question, documentIds, options = {}) {
+        const mode = options.mode ?? this.config.textSearchMode;
+        const topK = options.topK ?? this.config.textSearchTopK;
+        const filter = compileFilter(options.filter, 'c');
+
+        const searchQuery = buildFulltextQuery(question, mode);
+        if (!searchQuery) {
+            return [];
+        }
+
         try {
-            // Use text search with CONTAINS and word matching
             const query = `
-                MATCH (c:DocumentChunk)
-                WHERE c.documentId IN $documentIds
-                
-                // Split question into words for better matching
-                WITH c, split(toLower($question), ' ') as searchWords
+                CALL db.index.fulltext.queryNodes($indexName, $searchQuery)
+                YIELD node AS c, score
+                WHERE ($documentIds IS NULL OR c.documentId IN $documentIds)
+                  AND c.namespace = $namespace
+                  AND ${filter.cypher}
+
+                RETURN 
+                    ${CHUNK_FIELDS},
+                    score
+                ORDER BY score DESC
+                LIMIT $topK
+            `;
+
+            const result = await this.runQuery(query, {
+                ...filter.params,
+                indexName: FULLTEXT_INDEX_NAME,
+                searchQuery,
+                documentIds,
+                topK: neo4j.int(topK)
+            });
+
+            // Lucene scores are unbounded, scale by the best hit
+            const rows = result.records.map(record => ({
+                ...toChunk(record),
+                rawScore: record.get('score')
+            }));
+            const maxScore = Math.max(0, ...rows.map(row => row.rawScore));
+
+            return rows.map(row => ({
+                ...row,
+                score: maxScore > 0 ? row.rawScore / maxScore : 0
+            }));
+        } catch (error) {
+            console.warn('⚠️ Full-text search failed, falling back to term matching:', error.message);
+            return this.searchChunksByTerms(question, documentIds, topK, filter);
+        }
+    }
+
+    // Fallback when the full-text index is unavailable: share of question terms found in each chunk
+    async searchChunksByTerms(question, documentIds, topK, filter) {
+        const searchWords = extractSearchTerms(question);
+        if (searchWords.length === 0) {
+            return [];
+        }
+
+        try {
+            const query = `
+                MATCH (c:DocumentChunk {namespace: $namespace})
+                WHERE ($documentIds IS NULL OR c.documentId IN $documentIds)
+                  AND ${filter.cypher}
                 
                 // Calculate how many words match
-                WITH c, searchWords,
+                WITH c,
                      reduce(score = 0.0,
-                           word IN searchWords |
+                           word IN $searchWords |
                            score + CASE 
-                                    WHEN toLower(c.content) CONTAINS toLower(word)
+                                    WHEN toLower(c.content) CONTAINS word
                                     THEN 1.0
                                     ELSE 0.0
                                   END
@@ -289,64 +568,41 @@ Use only the information from the context to answer questions. If you cannot fin
                 
                 // Calculate relevance score
                 WITH c, 
-                     matchCount / size(searchWords) as relevance
+                     matchCount / size($searchWords) as relevance
                 WHERE relevance > 0
                 
                 RETURN 
-                    c.content as content,
-                    c.documentId as documentId,
+                    ${CHUNK_FIELDS},
                     relevance
                 ORDER BY relevance DESC
-                LIMIT 5
+                LIMIT $topK
             `;
 
-            const result = await session.run(query, {
-                question,
-                documentIds
+            const result = await this.runQuery(query, {
+                ...filter.params,
+                searchWords,
+                documentIds,
+                topK: neo4j.int(topK)
             });
 
             return result.records.map(record => ({
-                content: record.get('content'),
-                documentId: record.get('documentId'),
-                relevance: record.get('relevance')
+                ...toChunk(record),
+                score: record.get('relevance')
             }));
-
         } catch (error) {
-            // Fallback to simple contains search
-            try {
-                const fallbackQuery = `
-                    MATCH (c:DocumentChunk)
-                    WHERE c.documentId IN $documentIds
-                    AND toLower(c.content) CONTAINS toLower($question)
-                    RETURN 
-                        c.content as content,
-                        c.documentId as documentId,
-                        0.5 as relevance
-                    LIMIT 5
-                `;
-
-                const fallbackResult = await session.run(fallbackQuery, {
-                    question,
-                    documentIds
-                });
-
-                return fallbackResult.records.map(record => ({
-                    content: record.get('content'),
-                    documentId: record.get('documentId'),
-                    relevance: 0.5
-                }));
-            } catch (e) {
-                return [];
-            }
-        } finally {
-            await session.close();
+            return [];
         }
     }
 
-    async runQuery(query, params) {
-        const session = this.driver.session();
+    // Runs in this service's database with $namespace bound
+    async runQuery(query, params = {}) {
+        if (this.prepare) {
+            await this.prepare();
+        }
+
+        const session = this.driver.session(this.database ? { database: this.database } : {});
         try {
-            const result = await session.run(query, params);
+            const result = await session.run(query, { namespace: this.namespace, ...params });
             return result;
         } catch (error) {
             throw error;
@@ -356,32 +612,42 @@ Use only the information from the context to answer questions. If you cannot fin
     }
 
     async getEmbedding(text) {
-        try {
-            const embeddingResponse = await this.openai.embeddings.create({
-                model: "text-embedding-3-small",
-                input: text,
-                encoding_format: "float"
-            });
-
-            return embeddingResponse.data[0].embedding;
-        } catch (error) {
-            throw error;
-        }
+        return this.generateEmbedding(text);
     }
 
-    async searchGraphRelationships(question, documentIds) {
-        // First, extract key entities from the question using OpenAI
+    async searchGraphRelationships(question, documentIds, options = {}) {
+        // Chunks inherit their document's metadata, so documents are filtered here
+        const filter = compileFilter(options.filter, 'd');
+        const aliasFilter = compileFilter(options.filter, 'aliasDocument', 'aliasFilter');
+
+        // First, extract key entities from the question using the chat model
         const messages = [{
-            role: "system", content: "Extract key entities from the question. Return ONLY a JSON array of strings with the entity names. Example: ['John Smith', 'Microsoft']"
+            role: "system", content: renderPrompt(resolvePrompts(this.prompts, options.prompts), 'questionEntities')
         }, { role: "user", content: question }]
 
-        const entityResponse = await this.makeOpenAIRequest(messages, { temperature: 0 });
-        let searchEntities = JSON.parse(entityResponse);
+        let searchEntities;
+        try {
+            ({ entities: searchEntities } = await this.requestJSON(messages, {
+                schema: QUESTION_ENTITIES_SCHEMA,
+                normalize: value => Array.isArray(value) ? { entities: value } : value,
+                temperature: 0
+            }));
+        } catch (error) {
+            if (!(error instanceof StructuredOutputError)) {
+                throw error;
+            }
+            console.warn('⚠️ Could not read entities from the question, skipping graph search:', error.message);
+            return [];
+        }
         console.log('Search entities:', searchEntities);
 
+        if (searchEntities.length === 0) {
+            return [];
+        }
+
         // Debug query to see what entities we have
         const debugQuery = `
-            MATCH (e:Entity)
+            MATCH (e:Entity {namespace: $namespace})
             RETURN e.text, e.type, e.documentId
             LIMIT 10
         `;
@@ -395,26 +661,42 @@ Use only the information from the context to answer questions. If you cannot fin
         // Build the main search query
         const query = `
             // Match documents within scope
-            MATCH (d:Document)
-            WHERE d.documentId IN $documentIds
+            MATCH (d:Document {namespace: $namespace})
+            WHERE ($documentIds IS NULL OR d.documentId IN $documentIds)
+              AND ${filter.cypher}
             WITH d
 
-            // Find chunks and entities that match our search terms
+            // Find chunks and entities that match our search terms, by name or by any
+            // alias of their canonical entity
             MATCH (d)-[:HAS_CHUNK]->(c:DocumentChunk)
             MATCH (c)-[:APPEARS_IN]->(e:Entity)
             WHERE e.documentId = d.documentId
-            AND any(searchTerm IN $searchEntities 
-                WHERE toLower(e.text) = toLower(searchTerm) 
-                OR toLower(e.text) CONTAINS toLower(searchTerm)
-                OR toLower(searchTerm) CONTAINS toLower(e.text))
+            OPTIONAL MATCH (e)-[:SAME_AS]->(ce:CanonicalEntity)
+            WITH c, e, [e.text] + coalesce(ce.aliases, []) as names
+            WHERE any(searchTerm IN $searchEntities WHERE any(name IN names
+                WHERE toLower(name) = toLower(searchTerm) 
+                OR toLower(name) CONTAINS toLower(searchTerm)
+                OR toLower(searchTerm) CONTAINS toLower(name)))
 
             // Get matching entities and their relationships
             WITH c, collect(DISTINCT e) as matchingEntities
-            UNWIND matchingEntities as sourceEntity
+            UNWIND matchingEntities as matchingEntity
+
+            // The same entity in other documents in scope, through its canonical entity
+            OPTIONAL MATCH (matchingEntity)-[:SAME_AS]->(:CanonicalEntity)<-[:SAME_AS]-(alias:Entity)
+            WHERE alias <> matchingEntity
+              AND ($documentIds IS NULL OR alias.documentId IN $documentIds)
+              AND EXISTS {
+                  MATCH (aliasDocument:Document {documentId: alias.documentId, namespace: $namespace})
+                  WHERE ${aliasFilter.cypher}
+              }
+            WITH c, matchingEntity, collect(DISTINCT alias) as aliases
+            UNWIND [matchingEntity] + aliases as sourceEntity
 
             // Find paths between entities through direct relationships
             OPTIONAL MATCH path = (sourceEntity)-[r*0..2]-(targetEntity:Entity)
             WHERE targetEntity.documentId = sourceEntity.documentId
+            AND none(rel IN relationships(path) WHERE type(rel) IN ['SAME_AS', 'IN_COMMUNITY'])
             
             // Get all entities that appear in this chunk
             WITH c, sourceEntity, path, targetEntity,
@@ -441,11 +723,11 @@ Use only the information from the context to answer questions. If you cannot fin
                  pathEntities, chunkEntities
 
             // Group by chunk and collect all paths
-            WITH c.documentId as docId, 
-                 c.content as content,
+            WITH c,
                  collect({
                      score: relevanceScore,
-                     entities: pathEntities + [e IN chunkEntities WHERE NOT e.text IN pathEntities],
+                     entities: [n IN nodes(path) WHERE n:Entity | {text: n.text, type: n.type}]
+                         + [e IN chunkEntities WHERE NOT e.text IN pathEntities | {text: e.text, type: e.type}],
                      relationships: [rel IN relationships(path) | {
                          from: startNode(rel).text,
                          fromType: startNode(rel).type,
@@ -456,18 +738,24 @@ Use only the information from the context to answer questions. If you cannot fin
                  }) as paths
 
             // Get the best path for each chunk
-            WITH docId, content, paths,
+            WITH c, paths,
                  reduce(maxScore = 0.0, p IN paths | 
                     CASE WHEN p.score > maxScore THEN p.score ELSE maxScore END) as bestScore,
                  [p IN paths WHERE p.score = reduce(maxScore = 0.0, p2 IN paths | 
                     CASE WHEN p2.score > maxScore THEN p2.score ELSE maxScore END)][0] as bestPath
 
             // Order by score and collect results
-            WITH docId, content, bestScore, bestPath
+            WITH c, bestScore, bestPath
             ORDER BY bestScore DESC
             RETURN collect({
-                content: content,
-                documentId: docId,
+                content: c.content,
+                documentId: c.documentId,
+                chunkIndex: c.index,
+                pageStart: c.pageStart,
+                pageEnd: c.pageEnd,
+                startOffset: c.startOffset,
+                endOffset: c.endOffset,
+                headingPath: coalesce(c.headingPath, []),
                 score: bestScore,
                 entities: bestPath.entities,
                 relationships: bestPath.relationships
@@ -475,6 +763,8 @@ Use only the information from the context to answer questions. If you cannot fin
             LIMIT 10`;
 
         const result = await this.runQuery(query, {
+            ...filter.params,
+            ...aliasFilter.params,
             documentIds,
             searchEntities
         });
@@ -483,4 +773,41 @@ Use only the information from the context to answer questions. If you cannot fin
         console.log('Query results:', JSON.stringify(data, null, 2));
         return data;
     }
+}
+
+function resolveProvider(config) {
+    if (!config.provider) {
+        const providerConfig = { apiKey: config.openaiApiKey };
+        if (config.embeddingDimensions) {
+            providerConfig.embeddingDimensions = config.embeddingDimensions;
+        }
+        if (config.providerRetries != null) {
+            providerConfig.maxRetries = config.providerRetries;
+        }
+        return new OpenAIProvider(providerConfig);
+    }
+
+    // Accept either a ready-made provider instance or a plain config object
+    if (typeof config.provider.chat === 'function') {
+        return config.provider;
+    }
+
+    // A maxRetries in the provider config wins over providerRetries
+    if (config.providerRetries != null) {
+        return createProvider({ maxRetries: config.providerRetries, ...config.provider });
+    }
+    return createProvider(config.provider);
+}
+
+function toChunk(record) {
+    return {
+        content: record.get('content'),
+        documentId: record.get('documentId'),
+        chunkIndex: record.get('chunkIndex'),
+        pageStart: record.get('pageStart'),
+        pageEnd: record.get('pageEnd'),
+        startOffset: record.get('startOffset'),
+        endOffset: record.get('endOffset'),
+        headingPath: record.get('headingPath') || []
+    };
 }
\ No newline at end of file
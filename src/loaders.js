@@ -0,0 +1,310 @@
+import path from 'path';
+
+// A loader turns a file buffer into normalized text plus structural metadata:
+//   { name, mimeTypes: [...], extensions: [...], load(buffer, { mimeType, fileName }) }
+// load() resolves to { text, metadata } where metadata may contain
+//   pages:    [{ pageNumber, start, end }]  character offsets into text
+//   headings: [{ level, text, start }]
+export class LoaderRegistry {
+    constructor(loaders = []) {
+        this.loaders = [];
+        loaders.forEach(loader => this.register(loader));
+    }
+
+    register(loader) {
+        if (!loader?.name || typeof loader.load !== 'function') {
+            throw new Error('A loader needs a name and a load(buffer, context) function');
+        }
+
+        // Later registrations win, so built-in loaders can be overridden
+        this.loaders.unshift({
+            mimeTypes: [],
+            extensions: [],
+            ...loader
+        });
+        return this;
+    }
+
+    resolve({ mimeType, fileName } = {}) {
+        const type = normalizeMimeType(mimeType);
+        const extension = fileName ? path.extname(fileName).toLowerCase() : '';
+
+        // Browsers report vague or wrong types for many formats (.md, .csv), so trust the extension first
+        return this.loaders.find(loader => extension && loader.extensions.includes(extension))
+            || this.loaders.find(loader => type && loader.mimeTypes.includes(type))
+            || null;
+    }
+
+    supports(mimeType, fileName) {
+        return this.resolve({ mimeType, fileName }) !== null;
+    }
+
+    // For <input accept="..."> and upload filters
+    get acceptedTypes() {
+        return [...new Set(this.loaders.flatMap(loader => [...loader.mimeTypes, ...loader.extensions]))];
+    }
+
+    async load(buffer, { mimeType, fileName } = {}) {
+        const loader = this.resolve({ mimeType, fileName });
+        if (!loader) {
+            throw new Error(`Unsupported document type: ${mimeType || path.extname(fileName || '') || 'unknown'}`);
+        }
+
+        const { text, metadata = {} } = await loader.load(toBuffer(buffer), { mimeType, fileName });
+        const type = normalizeMimeType(mimeType);
+        return {
+            text,
+            metadata: {
+                format: loader.name,
+                mimeType: loader.mimeTypes.includes(type) ? type : loader.mimeTypes[0] || type,
+                ...metadata
+            }
+        };
+    }
+}
+
+export const textLoader = {
+    name: 'text',
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt', '.text', '.log'],
+    async load(buffer) {
+        return { text: normalizeText(buffer.toString('utf8')) };
+    }
+};
+
+export const markdownLoader = {
+    name: 'markdown',
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown'],
+    async load(buffer) {
+        const text = normalizeText(buffer.toString('utf8'));
+        return { text, metadata: { headings: extractMarkdownHeadings(text) } };
+    }
+};
+
+export const htmlLoader = {
+    name: 'html',
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml'],
+    async load(buffer) {
+        const text = htmlToText(buffer.toString('utf8'));
+        return { text, metadata: { headings: extractMarkdownHeadings(text) } };
+    }
+};
+
+export const docxLoader = {
+    name: 'docx',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    async load(buffer) {
+        const { default: mammoth } = await import('mammoth');
+        const { value: html } = await mammoth.convertToHtml({ buffer });
+        const text = htmlToText(html);
+        return { text, metadata: { headings: extractMarkdownHeadings(text) } };
+    }
+};
+
+export const csvLoader = {
+    name: 'csv',
+    mimeTypes: ['text/csv', 'application/csv'],
+    extensions: ['.csv'],
+    async load(buffer) {
+        const [header = [], ...rows] = parseCsv(buffer.toString('utf8'));
+
+        // One line per record so every chunk keeps the column names
+        const text = rows
+            .filter(row => row.some(cell => cell.trim()))
+            .map(row => header.map((column, i) => `${column.trim()}: ${(row[i] ?? '').trim()}`).join('; '))
+            .join('\n');
+
+        return { text, metadata: { columns: header.map(column => column.trim()), rowCount: rows.length } };
+    }
+};
+
+export const jsonLoader = {
+    name: 'json',
+    mimeTypes: ['application/json'],
+    extensions: ['.json'],
+    async load(buffer) {
+        const data = JSON.parse(buffer.toString('utf8'));
+        const records = Array.isArray(data) ? data : [data];
+
+        // "path.to.key: value" lines, records separated by blank lines
+        const text = records
+            .map(record => flattenJson(record).map(([key, value]) => (key ? `${key}: ${value}` : String(value))).join('\n'))
+            .join('\n\n');
+
+        return { text, metadata: { recordCount: records.length } };
+    }
+};
+
+export const pdfLoader = {
+    name: 'pdf',
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    async load(buffer) {
+        const pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs');
+        const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(buffer), verbosity: 0 }).promise;
+
+        let text = '';
+        const pages = [];
+
+        for (let i = 1; i <= pdf.numPages; i++) {
+            const page = await pdf.getPage(i);
+            const textContent = await page.getTextContent();
+            const pageText = textContent.items.map(item => item.str).join(' ').trim();
+
+            if (text) {
+                text += '\n\n';
+            }
+            pages.push({ pageNumber: i, start: text.length, end: text.length + pageText.length });
+            text += pageText;
+        }
+
+        return { text, metadata: { pages, pageCount: pdf.numPages } };
+    }
+};
+
+export const DEFAULT_LOADERS = [textLoader, markdownLoader, htmlLoader, docxLoader, csvLoader, jsonLoader, pdfLoader];
+
+export function createLoaderRegistry(extraLoaders = []) {
+    return new LoaderRegistry([...DEFAULT_LOADERS, ...extraLoaders]);
+}
+
+export function extractMarkdownHeadings(text) {
+    const headings = [];
+    // The ``` or ~~~ run that opened the code block we're in; "#" lines in there are code
+    let fence = null;
+    for (const match of text.matchAll(/^.*$/gm)) {
+        const line = match[0];
+        const marker = line.match(/^ {0,3}(`{3,}|~{3,})/)?.[1];
+        if (fence) {
+            if (marker && marker[0] === fence[0] && marker.length >= fence.length && !line.trim().slice(marker.length).trim()) {
+                fence = null;
+            }
+            continue;
+        }
+        if (marker) {
+            fence = marker;
+            continue;
+        }
+        const heading = line.match(/^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/);
+        if (heading) {
+            headings.push({ level: heading[1].length, text: heading[2], start: match.index });
+        }
+    }
+    return headings;
+}
+
+// Converts HTML to plain text, keeping headings as markdown "#" lines
+export function htmlToText(html) {
+    const text = String(html)
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi,
+            (_, level, content) => `\n\n${'#'.repeat(Number(level))} ${stripTags(content).replace(/\s+/g, ' ').trim()}\n\n`)
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|section|article|header|footer|blockquote|pre|ul|ol|table|tr|dl|dt|dd|figure|main|aside|nav)>/gi, '\n\n')
+        .replace(/<\/(td|th)>/gi, '\t');
+
+    return normalizeText(decodeEntities(stripTags(text)));
+}
+
+function stripTags(html) {
+    return html.replace(/<[^>]+>/g, '');
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+function normalizeText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// RFC 4180 style: quoted fields, doubled quotes, newlines inside quotes
+function parseCsv(input) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+function flattenJson(value, prefix = '') {
+    if (value === null || typeof value !== 'object') {
+        return [[prefix, value]];
+    }
+
+    const entries = Array.isArray(value)
+        ? value.map((item, i) => [`${prefix}[${i}]`, item])
+        : Object.entries(value).map(([key, item]) => [prefix ? `${prefix}.${key}` : key, item]);
+
+    return entries.flatMap(([key, item]) => flattenJson(item, key));
+}
+
+function normalizeMimeType(mimeType) {
+    return mimeType ? String(mimeType).split(';')[0].trim().toLowerCase() : null;
+}
+
+function toBuffer(input) {
+    if (Buffer.isBuffer(input)) {
+        return input;
+    }
+    if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+        return Buffer.from(input.buffer ?? input, input.byteOffset ?? 0, input.byteLength);
+    }
+    if (typeof input === 'string') {
+        return Buffer.from(input, 'utf8');
+    }
+    throw new Error('Document input must be a Buffer, Uint8Array, ArrayBuffer or string');
+}
@@ -0,0 +1,34 @@
+// Namespaces (workspaces) isolate tenants sharing one deployment. Every node the library
+// creates carries a `namespace` property and every query filters on it; a namespace can
+// also be mapped to its own Neo4j database.
+
+export const DEFAULT_NAMESPACE = 'default';
+
+const NAMESPACE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+export function assertNamespace(namespace) {
+    if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace)) {
+        throw new Error(`Invalid namespace: ${JSON.stringify(namespace)} (letters, digits, '_', '.' and '-', up to 64 characters)`);
+    }
+    return namespace;
+}
+
+// database: null (driver default), a database name, { namespace: name } (unlisted namespaces use
+// the driver default) or (namespace) => name | null
+export function resolveDatabase(database, namespace) {
+    if (typeof database === 'function') {
+        return database(namespace) || null;
+    }
+    if (database && typeof database === 'object') {
+        return Object.hasOwn(database, namespace) ? database[namespace] || null : null;
+    }
+    return database || null;
+}
+
+// Every database a { namespace: name } map names; a function can't be enumerated
+export function mappedDatabases(database) {
+    if (database && typeof database === 'object') {
+        return Object.values(database).map(name => name || null);
+    }
+    return [];
+}
@@ -0,0 +1,81 @@
+// Names the model makes up become relationship types, labels and property keys in the graph.
+// They are normalized here so they can be written in Cypher without backticks and never
+// collide with the library's own labels and relationship types.
+
+const MAX_NAME_LENGTH = 64;
+
+// Fallback when nothing usable is left of a relationship type
+export const DEFAULT_RELATIONSHIP_TYPE = 'RELATED_TO';
+
+// Used by the library itself
+const RESERVED_RELATIONSHIP_TYPES = new Set(['HAS_CHUNK', 'APPEARS_IN', 'SAME_AS', 'IN_COMMUNITY']);
+const RESERVED_LABELS = new Set(['Document', 'DocumentChunk', 'Entity', 'CanonicalEntity', 'Community', 'Conversation', 'Message', 'CacheEntry']);
+
+// Cypher keywords; as relationship types they read like part of the query
+const CYPHER_KEYWORDS = new Set([
+    'ALL', 'AND', 'ANY', 'AS', 'ASC', 'ASCENDING', 'BY', 'CALL', 'CASE', 'CONSTRAINT', 'CONTAINS', 'COUNT',
+    'CREATE', 'CSV', 'DELETE', 'DESC', 'DESCENDING', 'DETACH', 'DISTINCT', 'DROP', 'ELSE', 'END', 'ENDS',
+    'EXISTS', 'FALSE', 'FOREACH', 'FROM', 'IN', 'INDEX', 'IS', 'LIMIT', 'LOAD', 'MATCH', 'MERGE', 'NONE',
+    'NOT', 'NULL', 'ON', 'OPTIONAL', 'OR', 'ORDER', 'REMOVE', 'RETURN', 'SET', 'SINGLE', 'SKIP', 'STARTS',
+    'THEN', 'TRUE', 'UNION', 'UNIQUE', 'UNWIND', 'USE', 'USING', 'WHEN', 'WHERE', 'WITH', 'XOR', 'YIELD'
+]);
+
+// "works for", "Works-For" and "worksFor" all become WORKS_FOR
+export function toRelationshipType(name) {
+    let type = words(name).join('_').toUpperCase().slice(0, MAX_NAME_LENGTH).replace(/_+$/, '');
+    if (!type) {
+        return DEFAULT_RELATIONSHIP_TYPE;
+    }
+    if (/^\d/.test(type)) {
+        type = `REL_${type}`.slice(0, MAX_NAME_LENGTH);
+    }
+    if (RESERVED_RELATIONSHIP_TYPES.has(type) || CYPHER_KEYWORDS.has(type)) {
+        type = `${type}_REL`;
+    }
+    return type;
+}
+
+// Secondary label for an entity type: "PERSON" -> Person, "legal entity" -> LegalEntity; null if nothing is left
+export function toEntityLabel(type) {
+    let label = words(type)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('')
+        .slice(0, MAX_NAME_LENGTH);
+    if (!label) {
+        return null;
+    }
+    if (/^\d/.test(label)) {
+        label = `Type${label}`.slice(0, MAX_NAME_LENGTH);
+    }
+    if (RESERVED_LABELS.has(label)) {
+        label = `${label}Entity`;
+    }
+    return label;
+}
+
+// Property keys stay as they are when they are already plain identifiers, otherwise "Job Title" -> jobTitle
+export function toPropertyKey(key) {
+    const name = String(key ?? '').trim();
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        return name.slice(0, MAX_NAME_LENGTH);
+    }
+
+    const camel = words(name)
+        .map((word, i) => i === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('')
+        .slice(0, MAX_NAME_LENGTH);
+    if (!camel) {
+        return null;
+    }
+    return /^\d/.test(camel) ? `_${camel}` : camel;
+}
+
+// Splits on anything that is not a letter or digit and on camelCase boundaries, dropping accents
+function words(value) {
+    return String(value ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean);
+}
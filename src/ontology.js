@@ -0,0 +1,291 @@
+// Ontologies constrain entity extraction to known entity labels and relationship types:
+//
+// {
+//     entities: {
+//         PERSON: { description: 'A named individual', properties: { role: 'string', age: 'integer' } },
+//         ORGANIZATION: { aliases: ['COMPANY', 'ORG'] }
+//     },
+//     relationships: {
+//         WORKS_FOR: { domain: ['PERSON'], range: ['ORGANIZATION'], aliases: ['EMPLOYED_BY', 'WORKS_AT'] }
+//     },
+//     additionalProperties: false
+// }
+//
+// `entities` may also be a list of labels. Entities without `properties` keep whatever properties
+// the model returns; with a schema, undeclared properties are dropped unless additionalProperties is set.
+// Extraction output is checked against it: aliases are remapped to their label or type and anything
+// else that does not fit is dropped and reported.
+
+export const PROPERTY_TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+
+// Validates an ontology and returns it in canonical form, or null for free-form extraction
+export function normalizeOntology(ontology) {
+    if (ontology == null || ontology === false) {
+        return null;
+    }
+    if (typeof ontology !== 'object' || Array.isArray(ontology)) {
+        throw new Error('ontology must be an object with entities and relationships');
+    }
+
+    const entities = {};
+    for (const [label, definition] of definitions(ontology.entities, 'entities')) {
+        entities[label] = {
+            description: definition.description ? String(definition.description) : null,
+            properties: normalizeProperties(label, definition.properties),
+            aliases: toList(definition.aliases).map(String)
+        };
+    }
+    if (Object.keys(entities).length === 0) {
+        throw new Error('ontology.entities must define at least one entity label');
+    }
+
+    const relationships = {};
+    for (const [type, definition] of definitions(ontology.relationships, 'relationships')) {
+        const domain = toList(definition.domain).map(label => resolveName(entities, label) ?? label);
+        const range = toList(definition.range).map(label => resolveName(entities, label) ?? label);
+        const unknown = [...domain, ...range].find(label => !entities[label]);
+        if (unknown) {
+            throw new Error(`ontology.relationships.${type} refers to unknown entity label ${unknown}`);
+        }
+
+        relationships[type] = {
+            description: definition.description ? String(definition.description) : null,
+            domain,
+            range,
+            aliases: toList(definition.aliases).map(String)
+        };
+    }
+
+    return {
+        entities,
+        relationships,
+        additionalProperties: Boolean(ontology.additionalProperties)
+    };
+}
+
+// Prompt section listing what may be extracted
+export function describeOntology(ontology) {
+    const entityLines = Object.entries(ontology.entities).map(([label, { description, properties }]) => {
+        let line = `- ${label}`;
+        if (description) {
+            line += `: ${description}`;
+        }
+        if (properties) {
+            line += ` (properties: ${Object.entries(properties).map(([name, type]) => `${name}: ${type}`).join(', ') || 'none'})`;
+        }
+        return line;
+    });
+
+    const relationshipLines = Object.entries(ontology.relationships).map(([type, { description, domain, range }]) => {
+        let line = `- ${type}: ${domain.join('|') || 'any'} -> ${range.join('|') || 'any'}`;
+        if (description) {
+            line += ` (${description})`;
+        }
+        return line;
+    });
+
+    return `ONTOLOGY - the graph must follow it exactly:
+Entity types, use ONLY these labels as "type":
+${entityLines.join('\n')}
+
+Relationship types, use ONLY these as "type", from the left entity type to the right one:
+${relationshipLines.join('\n') || '- none, return an empty relationships list'}
+
+Leave out entities and relationships that do not fit these types. Do not invent new types or properties.`;
+}
+
+// Checks parsed extraction output against the ontology.
+// Returns { entities, relationships, rejected, remapped } with types replaced by their canonical names;
+// rejected: [{ kind: 'entity' | 'relationship' | 'property', ..., reason }]
+// remapped: [{ kind: 'entity' | 'relationship', from, to }]
+export function applyOntology(ontology, { entities = [], relationships = [] }) {
+    const rejected = [];
+    const remapped = [];
+
+    const accepted = [];
+    // text -> labels of accepted entities, to check and repair relationship endpoints
+    const labelsByText = new Map();
+
+    for (const entity of entities) {
+        const label = resolveName(ontology.entities, entity.type);
+        if (!label) {
+            rejected.push({ kind: 'entity', text: entity.text, type: entity.type, reason: 'unknown entity type' });
+            continue;
+        }
+        if (label !== entity.type) {
+            remapped.push({ kind: 'entity', from: entity.type, to: label });
+        }
+
+        const properties = checkProperties(ontology, label, entity, rejected);
+        accepted.push({ ...entity, type: label, properties });
+
+        const text = String(entity.text).trim();
+        labelsByText.set(text, [...(labelsByText.get(text) || []), label]);
+    }
+
+    const acceptedRelationships = [];
+    for (const relationship of relationships) {
+        const type = resolveName(ontology.relationships, relationship.type);
+        const reject = reason => rejected.push({
+            kind: 'relationship',
+            from: relationship.from,
+            type: relationship.type,
+            to: relationship.to,
+            reason
+        });
+
+        if (!type) {
+            reject('unknown relationship type');
+            continue;
+        }
+
+        let fromType = endpointType(labelsByText, ontology, relationship.from, relationship.fromType);
+        let toType = endpointType(labelsByText, ontology, relationship.to, relationship.toType);
+        if (!fromType || !toType) {
+            reject('endpoint is not an extracted entity');
+            continue;
+        }
+
+        let { from, to } = relationship;
+        const { domain, range } = ontology.relationships[type];
+        const fits = (source, target) => (domain.length === 0 || domain.includes(source))
+            && (range.length === 0 || range.includes(target));
+
+        if (!fits(fromType, toType)) {
+            // The model sometimes gets the direction backwards
+            if (!fits(toType, fromType)) {
+                reject(`${type} does not connect ${fromType} to ${toType}`);
+                continue;
+            }
+            [from, to, fromType, toType] = [to, from, toType, fromType];
+        }
+
+        if (type !== relationship.type) {
+            remapped.push({ kind: 'relationship', from: relationship.type, to: type });
+        }
+        acceptedRelationships.push({ ...relationship, from, fromType, to, toType, type });
+    }
+
+    return { entities: accepted, relationships: acceptedRelationships, rejected, remapped };
+}
+
+function definitions(value, field) {
+    if (value == null) {
+        return [];
+    }
+    if (Array.isArray(value)) {
+        return value.map(label => [String(label), {}]);
+    }
+    if (typeof value !== 'object') {
+        throw new Error(`ontology.${field} must be a list of names or an object`);
+    }
+    return Object.entries(value).map(([name, definition]) => [name, definition || {}]);
+}
+
+function normalizeProperties(label, properties) {
+    if (properties == null) {
+        return null;
+    }
+
+    // ['name', 'role'] is short for all strings
+    const entries = Array.isArray(properties)
+        ? properties.map(name => [String(name), 'string'])
+        : Object.entries(properties);
+
+    for (const [name, type] of entries) {
+        if (!PROPERTY_TYPES.includes(type)) {
+            throw new Error(`ontology.entities.${label}.properties.${name} must be one of ${PROPERTY_TYPES.join(', ')}`);
+        }
+    }
+    return Object.fromEntries(entries);
+}
+
+// Coerces declared properties to their type; drops undeclared ones and values that don't convert
+function checkProperties(ontology, label, entity, rejected) {
+    const schema = ontology.entities[label].properties;
+    const properties = entity.properties && typeof entity.properties === 'object' ? entity.properties : {};
+    if (!schema) {
+        return properties;
+    }
+
+    const checked = {};
+    for (const [name, value] of Object.entries(properties)) {
+        if (value == null) {
+            continue;
+        }
+
+        if (!schema[name]) {
+            if (ontology.additionalProperties) {
+                checked[name] = value;
+            } else {
+                rejected.push({ kind: 'property', text: entity.text, type: label, property: name, reason: 'not in schema' });
+            }
+            continue;
+        }
+
+        const coerced = coerce(value, schema[name]);
+        if (coerced === undefined) {
+            rejected.push({ kind: 'property', text: entity.text, type: label, property: name, reason: `not a ${schema[name]}` });
+            continue;
+        }
+        checked[name] = coerced;
+    }
+    return checked;
+}
+
+function coerce(value, type) {
+    switch (type) {
+        case 'number': {
+            const number = Number(value);
+            return typeof value !== 'boolean' && value !== '' && Number.isFinite(number) ? number : undefined;
+        }
+        case 'integer': {
+            const number = Number(value);
+            return typeof value !== 'boolean' && value !== '' && Number.isInteger(number) ? number : undefined;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') {
+                return value;
+            }
+            return { true: true, yes: true, false: false, no: false }[String(value).trim().toLowerCase()];
+        case 'date':
+            return Number.isNaN(Date.parse(value)) ? undefined : String(value).trim();
+        default:
+            return typeof value === 'object' ? undefined : String(value).trim();
+    }
+}
+
+// Label of an endpoint: the type the model gave if it fits, otherwise the entity's only label
+function endpointType(labelsByText, ontology, text, type) {
+    const labels = labelsByText.get(String(text).trim()) || [];
+    const label = resolveName(ontology.entities, type);
+    if (label && labels.includes(label)) {
+        return label;
+    }
+    return labels.length === 1 ? labels[0] : null;
+}
+
+// Case, spaces and dashes are ignored, aliases map to their name
+function resolveName(definitionsByName, name) {
+    const key = nameKey(name);
+    if (!key) {
+        return null;
+    }
+    for (const [canonical, definition] of Object.entries(definitionsByName)) {
+        if (nameKey(canonical) === key || (definition.aliases || []).some(alias => nameKey(alias) === key)) {
+            return canonical;
+        }
+    }
+    return null;
+}
+
+function nameKey(name) {
+    return String(name ?? '').trim().toUpperCase().replace(/[\s-]+/g, '_');
+}
+
+function toList(value) {
+    if (value == null) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
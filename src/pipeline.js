@@ -0,0 +1,212 @@
+import { EventEmitter } from 'events';
+
+// Ingestion plumbing: bounded concurrency, retries with backoff and progress events
+
+export const PROGRESS_EVENTS = ['started', 'duplicate', 'chunked', 'embedded', 'extracted', 'failed', 'retry', 'resolved', 'completed'];
+
+// Emits a 'progress' event for every step, the last one of type 'completed'.
+// Consume with job.on('progress', ...) or `for await (const event of job)`;
+// job.done resolves with the final summary.
+export class IngestionJob extends EventEmitter {
+    constructor(jobId, documentId, { fileName = null, resumed = false, namespace = null, registered = true } = {}) {
+        super();
+        this.jobId = jobId;
+        this.documentId = documentId;
+        // Resolves with the documentId once it is final. A new upload's id is only final when its
+        // Document node exists; an identical upload takes the existing document's id instead.
+        this.registered = new Promise((resolve, reject) => {
+            this.registration = { resolve, reject };
+        });
+        this.registered.catch(() => {});
+        if (registered) {
+            this.register();
+        }
+        this.namespace = namespace;
+        this.fileName = fileName;
+        this.resumed = resumed;
+        // Set when an identical upload was found and its document reused
+        this.duplicateOf = null;
+        // queued -> processing -> ready | error, mirrored on the Document node
+        this.status = 'queued';
+        this.created = new Date().toISOString();
+        this.updated = this.created;
+        this.total = 0;
+        this.embedded = 0;
+        this.extracted = 0;
+        this.failed = 0;
+        this.chunks = new Map();
+        this.errors = [];
+        // Extraction output an ontology dropped: [{ chunkIndex, kind, ..., reason }]
+        this.rejected = [];
+        this.remapped = 0;
+        // Every event so far, so late iterators still see the whole run
+        this.events = [];
+    }
+
+    progress(type, details = {}) {
+        switch (type) {
+            case 'started':
+                this.status = 'processing';
+                break;
+            case 'chunked':
+                this.total = details.total;
+                break;
+            case 'embedded':
+                this.embedded++;
+                this.chunks.set(details.chunkIndex, 'embedded');
+                break;
+            case 'extracted':
+                this.extracted++;
+                this.chunks.set(details.chunkIndex, 'extracted');
+                this.rejected.push(...(details.rejected || []).map(item => ({ chunkIndex: details.chunkIndex, ...item })));
+                this.remapped += details.remapped?.length || 0;
+                break;
+            case 'failed':
+                this.failed++;
+                this.chunks.set(details.chunkIndex, 'failed');
+                this.errors.push({ chunkIndex: details.chunkIndex, error: details.error });
+                break;
+            case 'completed':
+                this.status = details.status ?? (this.failed > 0 ? 'error' : 'ready');
+                // Does nothing once registered
+                this.registration.reject(new Error(details.error ?? 'Ingestion failed'));
+                break;
+        }
+
+        this.updated = new Date().toISOString();
+        const event = { type, jobId: this.jobId, documentId: this.documentId, ...this.counts(), ...details };
+        this.events.push(event);
+        this.emit('progress', event);
+        return event;
+    }
+
+    register(documentId = this.documentId) {
+        this.documentId = documentId;
+        this.registration.resolve(documentId);
+    }
+
+    counts() {
+        return {
+            total: this.total,
+            embedded: this.embedded,
+            extracted: this.extracted,
+            failed: this.failed
+        };
+    }
+
+    get finished() {
+        return this.status === 'ready' || this.status === 'error';
+    }
+
+    // Snapshot for status APIs
+    toJSON() {
+        return {
+            jobId: this.jobId,
+            documentId: this.documentId,
+            namespace: this.namespace,
+            fileName: this.fileName,
+            status: this.status,
+            resumed: this.resumed,
+            duplicateOf: this.duplicateOf,
+            ...this.counts(),
+            errors: this.errors,
+            rejected: this.rejected,
+            remapped: this.remapped,
+            created: this.created,
+            updated: this.updated
+        };
+    }
+
+    async *[Symbol.asyncIterator]() {
+        let index = 0;
+        while (true) {
+            while (index < this.events.length) {
+                const event = this.events[index++];
+                yield event;
+                if (event.type === 'completed') {
+                    return;
+                }
+            }
+            await new Promise(resolve => this.once('progress', resolve));
+        }
+    }
+}
+
+// Runs worker(item, index) over items with at most `concurrency` in flight
+export async function runWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runners = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+
+    await Promise.all(runners);
+    return results;
+}
+
+// Returns run(fn), which starts fn once fewer than `concurrency` earlier calls are still running
+export function createLimiter(concurrency) {
+    const waiting = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= concurrency || waiting.length === 0) {
+            return;
+        }
+        active++;
+        const { fn, resolve, reject } = waiting.shift();
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return fn => new Promise((resolve, reject) => {
+        waiting.push({ fn, resolve, reject });
+        next();
+    });
+}
+
+// Rate limits and server errors are worth retrying; bad requests are not
+export function isRetryableError(error) {
+    const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+    if (status != null) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'].includes(error?.code)
+        || error?.name === 'APIConnectionError';
+}
+
+// Exponential backoff with full jitter; onRetry(error, attempt, delay) is called before each wait
+export async function withRetry(fn, options = {}) {
+    const {
+        retries = 3,
+        baseDelay = 1000,
+        maxDelay = 30000,
+        shouldRetry = isRetryableError,
+        onRetry = null
+    } = options;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+
+            const delay = Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+            if (onRetry) {
+                onRetry(error, attempt + 1, delay);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
@@ -0,0 +1,197 @@
+// Prompt templates: the prompts sent for extraction, question rewriting, graph search and answers,
+// with {{variable}} placeholders. Any of them can be replaced per instance (config.prompts) or per
+// call (options.prompts). Answer formatting comes from a style preset and an optional language.
+
+export const DEFAULT_PROMPTS = {
+    // Entity and relationship extraction, one chunk at a time; an ontology is appended when there is one
+    extraction: `You are an expert at extracting entities and relationships from text.
+Your task is to analyze the given text and extract relevant entities and their relationships based on the analysis focus.
+
+Return ONLY a valid JSON object in this format:
+{
+    "entities": [
+        {
+            "text": "exact text from document",
+            "type": "PERSON|ORGANIZATION|LOCATION|DATE|etc",
+            "properties": {
+                "key1": "value1",
+                "key2": "value2"
+                // Additional properties specific to the entity type
+            }
+        }
+    ],
+    "relationships": [
+        {
+            "from": "exact text of source entity",
+            "fromType": "type of source entity",
+            "to": "exact text of target entity",
+            "toType": "type of target entity",
+            "type": "WORKS_FOR|LOCATED_IN|MANAGES|etc",
+            "confidence": 0.9
+        }
+    ]
+}
+
+IMPORTANT:
+1. Extract ONLY entities and relationships that are RELEVANT to the analysis focus
+2. Use the EXACT text from the document for entity names
+3. Choose appropriate entity types based on the context
+4. Create meaningful relationships between entities
+5. All property values must be primitive types (string, number, boolean)
+6. Do not use nested objects in properties
+7. Ensure relationship endpoints reference existing entities
+8. Do not include duplicate entities (same text and type)
+9. Use UPPER_SNAKE_CASE relationship types
+10. Give each relationship a confidence between 0 and 1: how clearly the text states it`,
+    // Variables: text, analysisDescription
+    extractionInput: `Given this text and analysis focus, extract entities and relationships:
+
+Text: {{text}}
+
+Analysis focus: {{analysisDescription}}`,
+
+    // Entity names in a question, looked up by graph search
+    questionEntities: 'Extract key entities from the question. Return ONLY a JSON object with the entity names, for example: {"entities": ["John Smith", "Microsoft"]}',
+
+    // Follow-up questions rewritten to stand on their own. Variables: transcript, question
+    rewrite: "Rewrite the user's follow-up question as a standalone question that can be understood without the conversation. Resolve pronouns and references using the conversation. Keep the original language. Return ONLY the rewritten question.",
+    rewriteInput: `Conversation:
+{{transcript}}
+
+Follow-up question: {{question}}`,
+
+    // Variables: style (the answer style's instructions), language (empty unless one is set)
+    answer: `You are a helpful assistant that answers questions based on the provided context.
+{{style}}
+
+Use only the information from the context to answer questions. If you cannot find the answer in the context, say so.{{language}}
+
+Each context block starts with a citation number in brackets, e.g. ### [2]. Cite the blocks you use inline right after the statement they support, like [2] or [1, 3]. Only cite numbers that appear in the context.`,
+    // Variables: context, question, request (the answer style's closing request)
+    answerInput: `Context:
+{{context}}
+
+Question: {{question}}
+
+{{request}}`
+};
+
+// Prompts that change what is extracted; stored with the document when given per call
+export const EXTRACTION_PROMPTS = ['extraction', 'extractionInput'];
+
+const MARKDOWN_FORMAT = `Format your responses using markdown:
+- Use **bold** for emphasis and important points
+- Use bullet points (•) for lists
+- Use > for quotes or important excerpts
+- Use \`code\` for technical terms or values
+- Use --- for separating sections`;
+
+// How answers are written: instructions for the answer prompt, the request closing the question
+// and the sampling temperature
+export const ANSWER_STYLES = {
+    // Markdown with emojis, the original format
+    default: {
+        instructions: `${MARKDOWN_FORMAT}
+- Use emojis 🎯 to make the response more engaging
+- Structure your response with clear sections when appropriate`,
+        request: 'Provide a clear and well-formatted answer:',
+        temperature: 0.7
+    },
+    // The same markdown without emojis, e.g. for reports
+    'no-emoji': {
+        instructions: `${MARKDOWN_FORMAT}
+- Structure your response with clear sections when appropriate
+- Never use emojis or other pictographs`,
+        request: 'Provide a clear and well-formatted answer:',
+        temperature: 0.7
+    },
+    concise: {
+        instructions: 'Answer in at most three sentences of plain text. No headings, lists, markdown or emojis; leave out background the question did not ask for.',
+        request: 'Answer briefly:',
+        temperature: 0.3
+    },
+    detailed: {
+        instructions: `${MARKDOWN_FORMAT}
+- Start with a one-sentence summary, then cover each relevant point under its own heading
+- Include the names, figures, dates and conditions the context gives
+- Never use emojis or other pictographs`,
+        request: 'Provide a complete, well-structured answer:',
+        temperature: 0.5
+    },
+    json: {
+        instructions: 'Return ONLY a JSON object like {"answer": "...", "points": ["..."]}: "answer" is a short direct answer and "points" the supporting facts. Citations go inside the strings. No markdown, no emojis, nothing outside the JSON object.',
+        request: 'Answer as a JSON object:',
+        temperature: 0
+    }
+};
+
+// Overrides checked against the known prompt names; null when there are none
+export function normalizePrompts(prompts) {
+    if (prompts == null) {
+        return null;
+    }
+    if (typeof prompts !== 'object' || Array.isArray(prompts)) {
+        throw new Error('prompts must be an object of prompt templates');
+    }
+
+    for (const [name, template] of Object.entries(prompts)) {
+        if (!(name in DEFAULT_PROMPTS)) {
+            throw new Error(`Unknown prompt ${name}, expected one of ${Object.keys(DEFAULT_PROMPTS).join(', ')}`);
+        }
+        if (typeof template !== 'string') {
+            throw new Error(`prompts.${name} must be a string`);
+        }
+    }
+    return Object.keys(prompts).length > 0 ? { ...prompts } : null;
+}
+
+// Templates with the overrides applied
+export function resolvePrompts(prompts, overrides = null) {
+    return { ...prompts, ...normalizePrompts(overrides) };
+}
+
+// The extraction prompts among the overrides, null if there are none
+export function pickExtractionPrompts(prompts) {
+    const picked = Object.entries(normalizePrompts(prompts) || {})
+        .filter(([name]) => EXTRACTION_PROMPTS.includes(name));
+    return picked.length > 0 ? Object.fromEntries(picked) : null;
+}
+
+// Fills in a template's {{variables}} in one pass, so values are never read as placeholders
+export function renderPrompt(prompts, name, variables = {}) {
+    return prompts[name].replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, variable) => {
+        if (!(variable in variables)) {
+            throw new Error(`Unknown variable ${placeholder} in prompt ${name}, available: ${Object.keys(variables).join(', ') || 'none'}`);
+        }
+        return String(variables[variable] ?? '');
+    });
+}
+
+// A preset name or { instructions, request, temperature }; null or undefined is the default style
+export function resolveAnswerStyle(style) {
+    if (style == null) {
+        return ANSWER_STYLES.default;
+    }
+    if (typeof style === 'string') {
+        if (!ANSWER_STYLES[style]) {
+            throw new Error(`Unknown answer style ${style}, expected one of ${Object.keys(ANSWER_STYLES).join(', ')}`);
+        }
+        return ANSWER_STYLES[style];
+    }
+    if (!style || typeof style !== 'object' || typeof style.instructions !== 'string') {
+        throw new Error('answerStyle must be a preset name or an object with instructions');
+    }
+    return { ...ANSWER_STYLES.default, ...style };
+}
+
+// Sentence appended to the answer prompt: null leaves the language to the model, 'auto' follows
+// the question, anything else names the language
+export function describeLanguage(language) {
+    if (!language) {
+        return '';
+    }
+    if (language === 'auto') {
+        return '\nAnswer in the language of the question.';
+    }
+    return `\nAnswer in ${language}, whatever the language of the question and the context.`;
+}
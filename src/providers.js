@@ -0,0 +1,197 @@
+import OpenAI from 'openai';
+
+// Default base URLs for OpenAI-compatible servers
+const COMPATIBLE_PRESETS = {
+    ollama: 'http://localhost:11434/v1',
+    vllm: 'http://localhost:8000/v1',
+    lmstudio: 'http://localhost:1234/v1'
+};
+
+// A provider implements three methods:
+//   chat(messages, options)       -> Promise<string>
+//   streamChat(messages, options) -> Promise<AsyncIterable> of OpenAI-style chunks
+//                                    ({ choices: [{ delta: { content } }] })
+//   embed(text)                   -> Promise<number[]>
+// and exposes `embeddingDimensions` so the graph schema can be sized to match.
+// Optionally chatJSON(messages, options) -> Promise<string> asks for a JSON reply (JSON mode);
+// without it structured requests use chat() and rely on parsing, see src/structured.js.
+export class OpenAIProvider {
+    constructor(config = {}) {
+        this.config = {
+            apiKey: '',
+            baseURL: undefined,
+            chatModel: 'gpt-4',
+            embeddingModel: 'text-embedding-3-small',
+            embeddingDimensions: 1536,
+            sendDimensions: true,
+            // Ask for JSON replies with response_format where the model supports it
+            jsonMode: true,
+            maxRetries: 3,
+            ...config
+        };
+
+        this.embeddingDimensions = this.config.embeddingDimensions;
+
+        this.client = new OpenAI({
+            apiKey: this.config.apiKey,
+            baseURL: this.config.baseURL,
+            maxRetries: this.config.maxRetries,
+            dangerouslyAllowBrowser: true
+        });
+    }
+
+    async chat(messages = [], options = {}) {
+        const response = await this.client.chat.completions.create({
+            model: this.config.chatModel,
+            messages,
+            ...options,
+            stream: false
+        });
+
+        return response.choices[0]?.message?.content;
+    }
+
+    // Models or servers without response_format get a plain request, remembered for next time
+    async chatJSON(messages = [], options = {}) {
+        if (this.config.jsonMode && !this.jsonModeUnsupported) {
+            try {
+                return await this.chat(messages, { ...options, response_format: { type: 'json_object' } });
+            } catch (error) {
+                if (error?.status !== 400 || !/response_format|json/i.test(error.message || '')) {
+                    throw error;
+                }
+                console.warn(`⚠️ ${this.config.chatModel} does not support JSON mode, parsing plain replies`);
+                this.jsonModeUnsupported = true;
+            }
+        }
+        return this.chat(messages, options);
+    }
+
+    async streamChat(messages = [], options = {}) {
+        return this.client.chat.completions.create({
+            model: this.config.chatModel,
+            messages,
+            ...options,
+            stream: true
+        });
+    }
+
+    async embed(text) {
+        const request = {
+            model: this.config.embeddingModel,
+            input: text,
+            encoding_format: 'float'
+        };
+
+        // Only models that support shortening accept `dimensions`
+        if (this.config.sendDimensions && this.config.embeddingDimensions) {
+            request.dimensions = this.config.embeddingDimensions;
+        }
+
+        const response = await this.client.embeddings.create(request);
+        return response.data[0].embedding;
+    }
+}
+
+// Any server that speaks the OpenAI HTTP API (Ollama, vLLM, LM Studio, ...)
+export class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(config = {}) {
+        const { preset, ...rest } = config;
+        const baseURL = rest.baseURL || COMPATIBLE_PRESETS[preset];
+
+        if (!baseURL) {
+            throw new Error(`A baseURL is required for OpenAI-compatible providers (known presets: ${Object.keys(COMPATIBLE_PRESETS).join(', ')})`);
+        }
+        if (!rest.chatModel || !rest.embeddingModel) {
+            throw new Error('chatModel and embeddingModel are required for OpenAI-compatible providers');
+        }
+
+        super({
+            // Local servers usually ignore the key but the client insists on one
+            apiKey: 'not-needed',
+            // Local embedding models have a fixed size and reject `dimensions`
+            sendDimensions: false,
+            ...rest,
+            baseURL
+        });
+    }
+}
+
+// Deterministic in-process provider for tests: no network, same input -> same output
+export class FakeProvider {
+    constructor(config = {}) {
+        this.config = {
+            embeddingDimensions: 64,
+            // string or (messages, options) => string
+            response: '{"entities": [], "relationships": []}',
+            ...config
+        };
+
+        this.embeddingDimensions = this.config.embeddingDimensions;
+        this.calls = [];
+    }
+
+    async chat(messages = [], options = {}) {
+        this.calls.push({ method: 'chat', messages, options });
+        return this.respond(messages, options);
+    }
+
+    async streamChat(messages = [], options = {}) {
+        this.calls.push({ method: 'streamChat', messages, options });
+        const content = this.respond(messages, options);
+        const pieces = content.match(/\S+\s*/g) || [];
+
+        return (async function* () {
+            for (const piece of pieces) {
+                yield { choices: [{ delta: { content: piece } }] };
+            }
+        })();
+    }
+
+    async embed(text) {
+        this.calls.push({ method: 'embed', text });
+
+        // Hashed bag of words, L2-normalized, so similar texts get similar vectors
+        const vector = new Array(this.embeddingDimensions).fill(0);
+        const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        for (const word of words) {
+            vector[hashString(word) % this.embeddingDimensions] += 1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        return norm > 0 ? vector.map(v => v / norm) : vector;
+    }
+
+    respond(messages, options) {
+        const { response } = this.config;
+        return String(typeof response === 'function' ? response(messages, options) : response);
+    }
+}
+
+export function createProvider(config = {}) {
+    const { type = 'openai', ...rest } = config;
+
+    switch (type) {
+        case 'openai':
+            return new OpenAIProvider(rest);
+        case 'fake':
+            return new FakeProvider(rest);
+        case 'openai-compatible':
+            return new OpenAICompatibleProvider(rest);
+        default:
+            if (COMPATIBLE_PRESETS[type]) {
+                return new OpenAICompatibleProvider({ preset: type, ...rest });
+            }
+            throw new Error(`Unknown provider type: ${type}`);
+    }
+}
+
+// FNV-1a, enough to spread words across embedding buckets
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
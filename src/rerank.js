@@ -0,0 +1,83 @@
+// { "ratings": [{ "id": 0, "score": 7 }] }; an object, so the provider's JSON mode can be used
+const RATINGS_SCHEMA = {
+    type: 'object',
+    required: ['ratings'],
+    properties: {
+        ratings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'score'],
+                properties: { id: { type: 'integer' }, score: { type: 'number' } }
+            }
+        }
+    }
+};
+
+// Re-rankers reorder fused search results before they are passed to the answer prompt.
+// Any object with rerank(question, chunks) -> Promise<chunks> can be used, e.g. a cross-encoder.
+
+// Uses the chat model as a relevance judge
+export class LLMReranker {
+    constructor(llm, options = {}) {
+        this.llm = llm;
+        this.options = {
+            maxPassageLength: 1500,
+            ...options
+        };
+    }
+
+    async rerank(question, chunks) {
+        if (chunks.length < 2) {
+            return chunks;
+        }
+
+        const passages = chunks
+            .map((chunk, i) => `[${i}] ${String(chunk.content).slice(0, this.options.maxPassageLength)}`)
+            .join('\n\n');
+
+        const messages = [
+            {
+                role: 'system',
+                content: 'You rate how well passages answer a question. Return ONLY a JSON object like {"ratings": [{"id": 0, "score": 7}]} with one entry per passage, where score is 0 (irrelevant) to 10 (fully answers the question).'
+            },
+            { role: 'user', content: `Question: ${question}\n\nPassages:\n${passages}` }
+        ];
+
+        let ratings;
+        try {
+            ({ ratings } = await this.llm.requestJSON(messages, {
+                schema: RATINGS_SCHEMA,
+                temperature: 0,
+                // A bare list of ratings is fine too
+                normalize: value => Array.isArray(value) ? { ratings: value } : value
+            }));
+        } catch (error) {
+            console.warn('⚠️ LLM re-ranking failed, keeping fused order:', error.message);
+            return chunks;
+        }
+
+        const scores = new Map(ratings.map(r => [r.id, r.score]));
+
+        // Unrated passages keep their fused position behind rated ones
+        return chunks
+            .map((chunk, i) => ({ ...chunk, rerankScore: scores.has(i) ? scores.get(i) / 10 : null }))
+            .sort((a, b) => (b.rerankScore ?? -1) - (a.rerankScore ?? -1));
+    }
+}
+
+export function resolveReranker(reranker, llm) {
+    if (!reranker) {
+        return null;
+    }
+    if (reranker === 'llm') {
+        return new LLMReranker(llm);
+    }
+    if (typeof reranker === 'function') {
+        return { rerank: reranker };
+    }
+    if (typeof reranker.rerank === 'function') {
+        return reranker;
+    }
+    throw new Error('reranker must be \'llm\', a function or an object with a rerank(question, chunks) method');
+}
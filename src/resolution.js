@@ -0,0 +1,306 @@
+import { v4 as uuidv4 } from 'uuid';
+import { cosineSimilarity } from './chunking.js';
+
+// Entity resolution: mentions of the same real-world entity, within a document or across
+// documents, are linked to one (:CanonicalEntity) through (:Entity)-[:SAME_AS]->(:CanonicalEntity).
+// Entity nodes stay per document; the canonical entity is what connects them.
+
+// Trailing words that don't tell organizations apart ("Acme Corp." and "Acme Corporation")
+const LEGAL_SUFFIXES = new Set([
+    'and', 'co', 'company', 'corp', 'corporation', 'inc', 'incorporated', 'ltd', 'limited',
+    'llc', 'llp', 'lp', 'plc', 'gmbh', 'ag', 'sa', 'nv', 'bv'
+]);
+
+const REVIEW_SCHEMA = {
+    type: 'object',
+    required: ['same'],
+    properties: { same: { type: 'boolean' } }
+};
+
+// Share of the combined score that comes from the names; the rest from their embeddings
+const NAME_WEIGHT = 0.5;
+
+// Types whose values differ in a single character ("2023" and "2024"); only equal names are merged
+const EXACT_TYPES = new Set([
+    'DATE', 'TIME', 'DATETIME', 'YEAR', 'PERIOD', 'DURATION', 'NUMBER', 'QUANTITY', 'PERCENT',
+    'PERCENTAGE', 'MONEY', 'AMOUNT', 'PRICE', 'MEASUREMENT'
+]);
+
+// Lowercase, no accents or punctuation, no leading "the" and no legal suffixes
+export function normalizeEntityName(text) {
+    const tokens = String(text ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]s\b/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+
+    if (tokens.length > 1 && tokens[0] === 'the') {
+        tokens.shift();
+    }
+    while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) {
+        tokens.pop();
+    }
+    return tokens.join(' ');
+}
+
+// "person", " Person" and "PERSON" are one type; canonical entities are stored under this form
+export function normalizeEntityType(type) {
+    return String(type ?? '').trim().toUpperCase();
+}
+
+// 0..1 similarity of two normalized names. Spelling only counts between names with the same words,
+// so "john smith" and "jane smith" score by their shared words alone.
+export function nameSimilarity(a, b) {
+    if (!a || !b) {
+        return 0;
+    }
+    if (a === b) {
+        return 1;
+    }
+    if (isAcronymOf(a, b) || isAcronymOf(b, a)) {
+        return 0.9;
+    }
+    if (!tokensAgree(a, b)) {
+        return tokenSimilarity(a, b);
+    }
+    return Math.max(jaroWinkler(a, b), tokenSimilarity(a, b));
+}
+
+// Whether two normalized names can be the same entity: equal, an acronym of the other, or the same
+// words apart from legal suffixes and initials ("john f kennedy", "j kennedy")
+export function namesAgree(a, b) {
+    return a === b || isAcronymOf(a, b) || isAcronymOf(b, a) || tokensAgree(a, b);
+}
+
+// Dates, amounts and names that are mostly digits are only merged when equal
+function isExactOnly(type, normalizedName) {
+    return EXACT_TYPES.has(normalizeEntityType(type)) || /^[\d\s]*\d[\d\s]*$/.test(normalizedName);
+}
+
+// Links mentions to canonical entities. Candidates must have the same type; a name match
+// (after normalization) is accepted directly, otherwise names and name embeddings are scored.
+// Scores between reviewThreshold and threshold are merged only if the chat model confirms.
+export class EntityResolver {
+    constructor(llm, options = {}) {
+        this.llm = llm;
+        this.options = {
+            threshold: 0.88,
+            reviewThreshold: 0.75,
+            useEmbeddings: true,
+            llmReview: false,
+            ...options
+        };
+    }
+
+    // mentions:   [{ text, type, documentId }]
+    // canonicals: [{ canonicalId, name, type, aliases, embedding }]
+    // Returns the canonical entities that gained mentions, existing ones first:
+    // [{ canonicalId, name, normalizedName, type, aliases, embedding, isNew, mentions }]
+    async resolve(mentions, canonicals = []) {
+        const clusters = canonicals.map(canonical => this.createCluster({
+            ...canonical,
+            aliases: canonical.aliases?.length ? canonical.aliases : [canonical.name],
+            isNew: false
+        }));
+
+        const byType = new Map();
+        for (const cluster of clusters) {
+            byType.set(cluster.typeKey, [...(byType.get(cluster.typeKey) || []), cluster]);
+        }
+
+        // Every distinct name is resolved once, however many documents mention it
+        const names = new Map();
+        for (const mention of mentions) {
+            const key = `${normalizeEntityType(mention.type)}\u0000${mention.text}`;
+            names.set(key, [...(names.get(key) || []), mention]);
+        }
+
+        for (const group of names.values()) {
+            const { text, type } = group[0];
+            const candidates = byType.get(normalizeEntityType(type)) || [];
+            const normalizedName = normalizeEntityName(text);
+
+            let cluster = candidates.find(candidate => candidate.normalizedAliases.has(normalizedName));
+            let embedding = null;
+
+            if (!cluster && !isExactOnly(type, normalizedName)) {
+                // New canonical entities keep the embedding, later names are compared against it
+                embedding = this.options.useEmbeddings ? await this.llm.generateEmbedding(text) : null;
+                cluster = await this.findMatch(text, type, normalizedName, embedding, candidates);
+            }
+
+            if (!cluster) {
+                cluster = this.createCluster({
+                    canonicalId: uuidv4(),
+                    name: text,
+                    type,
+                    aliases: [],
+                    embedding,
+                    isNew: true
+                });
+                clusters.push(cluster);
+                byType.set(cluster.typeKey, [...candidates, cluster]);
+            }
+
+            cluster.aliases.add(text);
+            cluster.normalizedAliases.add(normalizedName);
+            cluster.mentions.push(...group);
+        }
+
+        return clusters
+            .filter(cluster => cluster.mentions.length > 0)
+            .map(cluster => ({
+                canonicalId: cluster.canonicalId,
+                name: cluster.name,
+                normalizedName: normalizeEntityName(cluster.name),
+                type: cluster.typeKey,
+                aliases: [...cluster.aliases],
+                embedding: cluster.embedding,
+                isNew: cluster.isNew,
+                mentions: cluster.mentions
+            }));
+    }
+
+    async findMatch(text, type, normalizedName, embedding, candidates) {
+        let best = null;
+        let bestScore = 0;
+        for (const candidate of candidates) {
+            const score = this.score(normalizedName, embedding, candidate);
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+
+        // A high score alone doesn't merge names with different words, only the chat model's review does
+        if (best && bestScore >= this.options.threshold
+            && [...best.normalizedAliases].some(alias => namesAgree(normalizedName, alias))) {
+            return best;
+        }
+        if (best && bestScore >= this.options.reviewThreshold && this.options.llmReview
+            && await this.confirm(text, type, best)) {
+            return best;
+        }
+        return null;
+    }
+
+    score(normalizedName, embedding, candidate) {
+        const names = Math.max(...[...candidate.normalizedAliases].map(alias => nameSimilarity(normalizedName, alias)));
+        if (!embedding || !candidate.embedding) {
+            return names;
+        }
+        return NAME_WEIGHT * names + (1 - NAME_WEIGHT) * cosineSimilarity(embedding, candidate.embedding);
+    }
+
+    // Asks the chat model whether a borderline pair is the same entity; unsure means no
+    async confirm(text, type, candidate) {
+        const messages = [
+            {
+                role: 'system',
+                content: 'You decide whether two names refer to the same real-world entity. Return ONLY a JSON object like {"same": true} or {"same": false}. Answer false when unsure.'
+            },
+            {
+                role: 'user',
+                content: `Type: ${type}\nName A: ${text}\nName B: ${candidate.name}\nOther names of B: ${[...candidate.aliases].join(', ')}`
+            }
+        ];
+
+        try {
+            const { same } = await this.llm.requestJSON(messages, { schema: REVIEW_SCHEMA, temperature: 0 });
+            return same;
+        } catch (error) {
+            console.warn('⚠️ Entity resolution review failed, keeping entities apart:', error.message);
+            return false;
+        }
+    }
+
+    createCluster({ canonicalId, name, type, aliases, embedding = null, isNew }) {
+        return {
+            canonicalId,
+            name,
+            type,
+            typeKey: normalizeEntityType(type),
+            aliases: new Set(aliases),
+            normalizedAliases: new Set([name, ...aliases].map(normalizeEntityName)),
+            embedding: embedding || null,
+            isNew,
+            mentions: []
+        };
+    }
+}
+
+// "ibm" and "international business machines"
+function isAcronymOf(short, long) {
+    const words = long.split(' ');
+    return !short.includes(' ') && words.length > 1 && words.map(word => word[0]).join('') === short;
+}
+
+// Words missing from the other name must be initials or abbreviated by one of its initials
+function tokensAgree(a, b) {
+    const left = a.split(' ').filter(token => !LEGAL_SUFFIXES.has(token));
+    const right = b.split(' ').filter(token => !LEGAL_SUFFIXES.has(token));
+    if (!left.some(token => token.length > 1 && right.includes(token))) {
+        return false;
+    }
+    const extraLeft = left.filter(token => !right.includes(token));
+    const extraRight = right.filter(token => !left.includes(token));
+    return coveredByInitials(extraLeft, extraRight) && coveredByInitials(extraRight, extraLeft);
+}
+
+function coveredByInitials(words, others) {
+    const isInitial = word => /^\p{L}$/u.test(word);
+    return words.every(word => isInitial(word) || others.some(other => isInitial(other) && word.startsWith(other)));
+}
+
+// Dice coefficient over words, so word order and extra words matter less
+function tokenSimilarity(a, b) {
+    const left = new Set(a.split(' '));
+    const right = new Set(b.split(' '));
+    const shared = [...left].filter(token => right.has(token)).length;
+    return (2 * shared) / (left.size + right.size);
+}
+
+function jaroWinkler(a, b) {
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const matchedA = new Array(a.length).fill(false);
+    const matchedB = new Array(b.length).fill(false);
+
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+            if (!matchedB[j] && a[i] === b[j]) {
+                matchedA[i] = matchedB[j] = true;
+                matches++;
+                break;
+            }
+        }
+    }
+    if (matches === 0) {
+        return 0;
+    }
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!matchedA[i]) {
+            continue;
+        }
+        while (!matchedB[j]) {
+            j++;
+        }
+        if (a[i] !== b[j]) {
+            transpositions++;
+        }
+        j++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+        prefix++;
+    }
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
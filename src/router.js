@@ -0,0 +1,129 @@
+// Query routing: picks how chat() retrieves context for a question instead of always running
+// every search with the configured weights. A router is anything with route(question) returning
+// { category, reason }; the category's route decides the chat mode and the searches to run.
+
+export const QUESTION_CATEGORIES = ['factoid', 'relationship', 'aggregate', 'summary'];
+
+// What each category runs; weights are used by result fusion
+export const DEFAULT_ROUTES = {
+    // A fact stated in the text: chunks matching the wording or meaning, no graph call
+    factoid: { mode: 'local', vectorSearch: true, textSearch: true, graphSearch: false, weights: { vector: 0.5, text: 0.5, graph: 0 } },
+    // How named entities relate: graph search weighs most
+    relationship: { mode: 'local', vectorSearch: true, textSearch: true, graphSearch: true, weights: { vector: 0.3, text: 0.2, graph: 0.5 } },
+    // Counts, totals and lists over the whole graph
+    aggregate: { mode: 'cypher', vectorSearch: false, textSearch: false, graphSearch: false, weights: null },
+    // Themes and overviews of the collection
+    summary: { mode: 'global', vectorSearch: false, textSearch: false, graphSearch: false, weights: null }
+};
+
+const RULES = [
+    {
+        category: 'aggregate',
+        reason: 'asks for a count, total, ranking or complete list',
+        // "most", "count" or "rank" only in aggregate phrasing, not in "the most important clause"
+        // or "does it count as"
+        pattern: /\b(how (many|much)|number of|counts? (of|the|all|every)|total (number|amount|value|count|of)|sum of|average|(which|what|who)\b[^?.!]*\b(has|have|had|with|gets?|got)( the)? (most|fewest|least)|(the )?most (often|frequently)|top \d+|rank(ed|ing)? (by|of|the|all|every)|list (all|every)|all (the )?\w+ (that|which|who|with|in|located))\b/i
+    },
+    {
+        category: 'summary',
+        reason: 'asks for themes or an overview of the documents',
+        pattern: /\b(summar(y|ize|ise)|overview|main (themes?|topics?|points?|ideas?)|key (themes?|topics?|points?|takeaways?)|overall|in general|across (all |the |these )?(documents|files|contracts|reports)|what (is|are) (this|these|the) (documents?|files?|contracts?|reports?) about)\b/i
+    },
+    {
+        category: 'relationship',
+        reason: 'asks how entities are connected',
+        pattern: /\b(relat(ed|ion|ionship)s?|connect(ed|ion)s?|link(ed)?|associated|between .+ and|who (works|worked|reports|reported|owns|owned|manages|managed|founded|leads|led)|works? (for|with|at)|reports? to|owned by|belongs? to|depends? on|partners?|subsidiar(y|ies)|parent compan(y|ies))\b/i
+    }
+];
+
+// Keyword rules; anything else is a factoid lookup
+export class RuleRouter {
+    async route(question) {
+        const text = String(question ?? '');
+        const rule = RULES.find(({ pattern }) => pattern.test(text));
+        if (rule) {
+            return { category: rule.category, reason: rule.reason, method: 'rules' };
+        }
+        // Two or more capitalized names usually mean a question about how they relate; the first
+        // letter is skipped since the question starts with a capital anyway
+        const names = text.slice(1).match(/\b[A-Z][\w&.-]*(?:\s+[A-Z][\w&.-]*)*/g) || [];
+        if (names.length >= 2) {
+            return { category: 'relationship', reason: 'mentions several named entities', method: 'rules' };
+        }
+        return { category: 'factoid', reason: 'looks up a fact in the text', method: 'rules' };
+    }
+}
+
+// Asks the chat model; falls back to the rules when the reply can't be used
+export class LLMRouter {
+    constructor(llm) {
+        this.llm = llm;
+        this.rules = new RuleRouter();
+    }
+
+    async route(question) {
+        const messages = [
+            {
+                role: 'system',
+                content: `You classify questions about a document collection by how they should be answered. Return ONLY a JSON object like {"category": "factoid", "reason": "..."}. Categories:
+- factoid: a specific fact stated somewhere in the text
+- relationship: how named people, organizations, places or things are connected
+- aggregate: counting, totals, rankings or complete lists of things across the documents
+- summary: main themes or an overview of the documents as a whole`
+            },
+            { role: 'user', content: `Question: ${question}` }
+        ];
+
+        try {
+            const { category, reason } = await this.llm.requestJSON(messages, {
+                temperature: 0,
+                schema: {
+                    type: 'object',
+                    required: ['category'],
+                    properties: {
+                        category: { type: 'string', enum: QUESTION_CATEGORIES },
+                        reason: { type: 'string' }
+                    }
+                },
+                normalize: value => value?.category ? { ...value, category: String(value.category).trim().toLowerCase() } : value
+            });
+            return { category, reason: reason || null, method: 'llm' };
+        } catch (error) {
+            console.warn('⚠️ LLM routing failed, using rules:', error.message);
+            return this.rules.route(question);
+        }
+    }
+}
+
+export function resolveRouter(router, llm) {
+    if (!router) {
+        return null;
+    }
+    if (router === 'rules') {
+        return new RuleRouter();
+    }
+    if (router === 'llm') {
+        return new LLMRouter(llm);
+    }
+    if (typeof router === 'function') {
+        return { route: router };
+    }
+    if (typeof router.route === 'function') {
+        return router;
+    }
+    throw new Error('router must be \'rules\', \'llm\', a function or an object with a route(question) method');
+}
+
+// The route for a router's decision; routes overrides DEFAULT_ROUTES per category
+export function planRoute(decision, routes = {}) {
+    const category = QUESTION_CATEGORIES.includes(decision?.category) ? decision.category : 'factoid';
+    const route = { ...DEFAULT_ROUTES[category], ...routes[category] };
+    return {
+        category,
+        reason: decision?.reason ?? null,
+        method: decision?.method ?? 'custom',
+        mode: route.mode,
+        strategies: { vector: route.vectorSearch, text: route.textSearch, graph: route.graphSearch },
+        weights: route.weights
+    };
+}
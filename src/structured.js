@@ -0,0 +1,208 @@
+// Structured output: JSON from chat models that may wrap it in markdown, add comments,
+// use single quotes or trailing commas, or miss the requested shape altogether.
+
+export class StructuredOutputError extends Error {
+    constructor(message, content = null) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        // Raw model output, for logging
+        this.content = content;
+    }
+}
+
+// Parses model output as JSON, repairing the usual mistakes; throws StructuredOutputError
+export function parseJSON(content) {
+    const text = extractJSON(String(content ?? ''));
+    if (!text) {
+        throw new StructuredOutputError('Response contains no JSON', content);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch {
+        // Fall through to the repaired text
+    }
+
+    try {
+        return JSON.parse(repairJSON(text));
+    } catch (error) {
+        throw new StructuredOutputError(`Response is not valid JSON: ${error.message}`, content);
+    }
+}
+
+// The JSON object or array in a reply: within the first fenced block if there is one,
+// from the first { or [ to the last matching } or ]
+export function extractJSON(text) {
+    const fenced = text.match(/```(?:json|javascript|js)?\s*\n?([\s\S]*?)```/i);
+    const body = (fenced ? fenced[1] : text).trim();
+
+    const start = body.search(/[[{]/);
+    if (start === -1) {
+        return '';
+    }
+    const end = body.lastIndexOf(body[start] === '{' ? '}' : ']');
+    return end > start ? body.slice(start, end + 1) : body.slice(start);
+}
+
+// Rewrites almost-JSON into JSON: comments, trailing commas, single-quoted strings, unquoted keys,
+// Python literals and typographic quotes
+export function repairJSON(text) {
+    const source = text.replace(/[“”]/g, '"').replace(/[‘’]/g, '\'');
+    let out = '';
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (ch === '"' || ch === '\'') {
+            const { value, end } = readString(source, i);
+            out += JSON.stringify(value);
+            i = end;
+        } else if (ch === '/' && source[i + 1] === '/') {
+            while (i < source.length && source[i] !== '\n') {
+                i++;
+            }
+        } else if (ch === '/' && source[i + 1] === '*') {
+            const end = source.indexOf('*/', i + 2);
+            i = end === -1 ? source.length : end + 2;
+        } else if (ch === '#') {
+            while (i < source.length && source[i] !== '\n') {
+                i++;
+            }
+        } else if (ch === ',' && /^(\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*[}\]]/.test(source.slice(i + 1))) {
+            i++;
+        } else if (/[-\d]/.test(ch)) {
+            const number = source.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+            out += number ? number[0] : ch;
+            i += number ? number[0].length : 1;
+        } else if (/[A-Za-z_$]/.test(ch)) {
+            const word = source.slice(i).match(/^[\w$]+/)[0];
+            i += word.length;
+            const literal = { true: 'true', false: 'false', null: 'null', True: 'true', False: 'false', None: 'null', undefined: 'null' }[word];
+            // Bare words are keys before a colon and strings elsewhere
+            out += /^\s*:/.test(source.slice(i)) ? JSON.stringify(word) : literal ?? JSON.stringify(word);
+        } else {
+            out += ch;
+            i++;
+        }
+    }
+
+    return out;
+}
+
+function readString(source, start) {
+    const quote = source[start];
+    let value = '';
+    let i = start + 1;
+
+    while (i < source.length && source[i] !== quote) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+            const next = source[i + 1];
+            const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', '"': '"', '\'': '\'', '\\': '\\', '/': '/' };
+            if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(i + 2, i + 6))) {
+                value += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+                i += 6;
+                continue;
+            }
+            value += escapes[next] ?? next;
+            i += 2;
+            continue;
+        }
+        value += source[i];
+        i++;
+    }
+
+    return { value, end: i + 1 };
+}
+
+// Checks a value against a small JSON Schema subset: type, properties, required, items, enum.
+// Returns a list of problems, empty when the value fits.
+export function validateSchema(value, schema, path = '$') {
+    const errors = [];
+    const types = schema.type ? [].concat(schema.type) : null;
+
+    if (types && !types.some(type => matchesType(value, type))) {
+        errors.push(`${path} must be ${types.join(' or ')}`);
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const key of schema.required || []) {
+            if (value[key] == null) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] != null) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+
+    return errors;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+// Asks for JSON matching `schema`, using the provider's JSON mode when it has one (chatJSON).
+// Unparseable or invalid replies are sent back with the problem, up to `retries` times, then a
+// StructuredOutputError is thrown. normalize(value) may reshape a reply before it is validated.
+export async function requestStructured(provider, messages, { schema, retries = 2, normalize = null, ...options } = {}) {
+    let conversation = messages;
+
+    for (let attempt = 0; ; attempt++) {
+        const content = typeof provider.chatJSON === 'function'
+            ? await provider.chatJSON(conversation, options)
+            : await provider.chat(conversation, options);
+
+        let problem;
+        try {
+            let value = parseJSON(content);
+            if (normalize) {
+                value = normalize(value);
+            }
+
+            const errors = schema ? validateSchema(value, schema) : [];
+            if (errors.length === 0) {
+                return value;
+            }
+            problem = `The JSON does not match the expected format: ${errors.slice(0, 10).join('; ')}`;
+        } catch (error) {
+            if (!(error instanceof StructuredOutputError)) {
+                throw error;
+            }
+            problem = error.message;
+        }
+
+        if (attempt >= retries) {
+            throw new StructuredOutputError(problem, content);
+        }
+
+        conversation = [
+            ...messages,
+            { role: 'assistant', content: String(content ?? '') },
+            { role: 'user', content: `${problem}. Reply again with ONLY the corrected JSON, no explanations.` }
+        ];
+    }
+}
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { InMemoryCache, FileCache, resolveCache, cacheKey, hashContent } from '../src/cache.js';
+import { FakeProvider } from '../src/providers.js';
+import { LLMService } from '../src/llm.js';
+
+test('InMemoryCache evicts the least recently used entry', async () => {
+    const cache = new InMemoryCache({ maxEntries: 2 });
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+    await cache.get('a');
+    await cache.set('c', 3);
+
+    assert.equal(await cache.get('a'), 1);
+    assert.equal(await cache.get('b'), undefined);
+    assert.equal(await cache.get('c'), 3);
+});
+
+test('FileCache stores entries as JSON files', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'docugraphrag-cache-'));
+    try {
+        const cache = new FileCache({ directory });
+        const key = cacheKey('embedding', 'default', 'model', 'text');
+        await cache.set(key, [0.1, 0.2]);
+
+        assert.deepEqual(await new FileCache({ directory }).get(key), [0.1, 0.2]);
+        assert.equal(await cache.get(cacheKey('embedding', 'other')), undefined);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+});
+
+test('FileCache handles concurrent writes of the same key', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'docugraphrag-cache-'));
+    try {
+        const cache = new FileCache({ directory });
+        const key = cacheKey('embedding', 'default', 'model', 'repeated chunk');
+        await Promise.all([1, 2, 3].map(value => cache.set(key, [value])));
+
+        assert.ok([1, 2, 3].includes((await cache.get(key))[0]));
+        assert.deepEqual(await fs.readdir(path.join(directory, 'embedding')), [`${key.split(':')[1]}.json`]);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+});
+
+test('a failing cache write does not fail the call', async () => {
+    const cache = { get: async () => undefined, set: async () => { throw new Error('disk full'); } };
+    const llm = new LLMService({ provider: new FakeProvider({ embeddingDimensions: 8 }), cache });
+    assert.equal((await llm.generateEmbedding('text')).length, 8);
+});
+
+test('cacheKey depends on every part', () => {
+    assert.equal(cacheKey('embedding', 'default', 'text'), cacheKey('embedding', 'default', 'text'));
+    assert.notEqual(cacheKey('embedding', 'default', 'text'), cacheKey('embedding', 'tenant', 'text'));
+    assert.match(cacheKey('extraction', 'x'), /^extraction:[0-9a-f]{64}$/);
+    assert.equal(hashContent('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+});
+
+test('resolveCache accepts names, false and cache objects', () => {
+    assert.ok(resolveCache('memory') instanceof InMemoryCache);
+    assert.ok(resolveCache('file') instanceof FileCache);
+    assert.equal(resolveCache(false), null);
+    const custom = { get: async () => undefined, set: async () => {} };
+    assert.equal(resolveCache(custom), custom);
+    assert.throws(() => resolveCache('redis'), /cache must be/);
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, locateChunks, pageRangeFor, headingPathAt } from '../src/chunking.js';
+
+test('chunk offsets point at the chunk text in the source', async () => {
+    const text = 'Alpha beta gamma. '.repeat(30);
+    const chunks = await chunkText(text, { chunkSize: 100, chunkOverlap: 20 });
+
+    assert.ok(chunks.length > 1);
+    for (const { pageContent, metadata } of chunks) {
+        assert.equal(text.slice(metadata.start, metadata.end), pageContent);
+    }
+});
+
+test('the sentence strategy groups sentences with offsets', async () => {
+    const text = 'One. Two. Three. Four. Five.';
+    const chunks = await chunkText(text, { strategy: 'sentence', sentencesPerChunk: 2, sentenceOverlap: 0 });
+
+    assert.deepEqual(chunks.map(chunk => chunk.pageContent), ['One. Two.', 'Three. Four.', 'Five.']);
+    assert.deepEqual(chunks.map(chunk => [chunk.metadata.start, chunk.metadata.end]), [[0, 9], [10, 22], [23, 28]]);
+});
+
+test('unknown strategies and semantic chunking without embeddings are rejected', async () => {
+    await assert.rejects(chunkText('text', { strategy: 'paragraph' }), /Unknown chunking strategy/);
+    await assert.rejects(chunkText('text', { strategy: 'semantic' }), /needs an embedding function/);
+});
+
+test('locateChunks finds repeated passages in order', () => {
+    assert.deepEqual(locateChunks('abcabc', ['abc', 'abc']), [{ start: 0, end: 3 }, { start: 3, end: 6 }]);
+    assert.deepEqual(locateChunks('abc', ['xyz']), [{ start: null, end: null }]);
+});
+
+test('pageRangeFor and headingPathAt map offsets to pages and headings', () => {
+    const pages = [{ pageNumber: 1, start: 0, end: 10 }, { pageNumber: 2, start: 11, end: 20 }];
+    assert.deepEqual(pageRangeFor(pages, 5, 15), { pageStart: 1, pageEnd: 2 });
+    assert.deepEqual(pageRangeFor([], 5, 15), { pageStart: null, pageEnd: null });
+
+    const headings = [{ level: 1, text: 'A', start: 0 }, { level: 2, text: 'B', start: 5 }, { level: 2, text: 'C', start: 10 }];
+    assert.deepEqual(headingPathAt(headings, 12), ['A', 'C']);
+    assert.deepEqual(headingPathAt(headings, 7), ['A', 'B']);
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import neo4j from 'neo4j-driver';
+import { buildSources, createCitedAnswer, extractCitedIds, formatSourceLabel } from '../src/citations.js';
+
+const streamOf = (...parts) => (async function* () {
+    for (const content of parts) {
+        yield { choices: [{ delta: { content } }] };
+    }
+})();
+
+test('buildSources numbers the chunks and labels where each came from', () => {
+    const sources = buildSources([
+        { documentId: 'doc-1', fileName: 'report.pdf', chunkIndex: neo4j.int(4), pageStart: neo4j.int(2), pageEnd: neo4j.int(3), content: 'x'.repeat(300), score: 0.8, rerankScore: 0.9 },
+        { documentId: 'doc-2', chunkIndex: 0, content: 'Short', score: 0.5 }
+    ]);
+
+    assert.deepEqual(sources.map(({ id, key, chunkIndex, label, score }) => ({ id, key, chunkIndex, label, score })), [
+        { id: 1, key: 'doc-1:4', chunkIndex: 4, label: 'report.pdf, chunk 4, pp. 2-3', score: 0.9 },
+        { id: 2, key: 'doc-2:0', chunkIndex: 0, label: 'Untitled document, chunk 0', score: 0.5 }
+    ]);
+    assert.equal(sources[0].excerpt.length, 200);
+    assert.equal(sources[1].fileName, null);
+});
+
+test('formatSourceLabel shows a single page once', () => {
+    assert.equal(formatSourceLabel('notes.txt', null, null, null), 'notes.txt');
+    assert.equal(formatSourceLabel('report.pdf', 1, 5, 5), 'report.pdf, chunk 1, p. 5');
+    assert.equal(formatSourceLabel('report.pdf', 1, 5, null), 'report.pdf, chunk 1, p. 5');
+});
+
+test('extractCitedIds reads single and grouped citation markers', () => {
+    assert.deepEqual([...extractCitedIds('Jane is CEO [1]. She joined in 2019 [2, 3] and left [3 ,4]. See [x] or [].')], [1, 2, 3, 4]);
+    assert.equal(extractCitedIds('No citations here.').size, 0);
+});
+
+test('createCitedAnswer passes the stream through and reports the cited sources', async () => {
+    const sources = buildSources([{ documentId: 'a', chunkIndex: 0 }, { documentId: 'b', chunkIndex: 0 }, { documentId: 'c', chunkIndex: 0 }]);
+    const answer = createCitedAnswer(streamOf('Acme was founded in 1990 [', '3', '] by Jane [1].'), sources);
+
+    const parts = [];
+    for await (const chunk of answer) {
+        parts.push(chunk.choices[0].delta.content);
+    }
+
+    assert.deepEqual(parts, ['Acme was founded in 1990 [', '3', '] by Jane [1].']);
+    assert.equal(answer.text(), 'Acme was founded in 1990 [3] by Jane [1].');
+    assert.deepEqual(answer.citedSources().map(source => source.key), ['a:0', 'c:0']);
+});
@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryCache } from '../src/cache.js';
+import { detectCommunities, mapCommunities, summarizeCommunity } from '../src/communities.js';
+import { FakeProvider } from '../src/providers.js';
+import { LLMService } from '../src/llm.js';
+
+const clique = names => names.flatMap((a, i) => names.slice(i + 1).map(b => ({ source: a, target: b })));
+
+test('detectCommunities separates densely connected groups joined by a single edge', () => {
+    const nodes = ['a1', 'a2', 'a3', 'a4', 'b1', 'b2', 'b3', 'lonely'];
+    const edges = [
+        ...clique(['a1', 'a2', 'a3', 'a4']),
+        ...clique(['b1', 'b2', 'b3']),
+        { source: 'a4', target: 'b1' },
+        // Endpoints that aren't nodes are ignored
+        { source: 'a1', target: 'unknown' }
+    ];
+
+    const communities = detectCommunities(nodes, edges);
+
+    assert.deepEqual(['a1', 'a2', 'a3', 'a4'].map(id => communities.get(id)), [0, 0, 0, 0]);
+    assert.deepEqual(['b1', 'b2', 'b3'].map(id => communities.get(id)), [1, 1, 1]);
+    assert.equal(communities.get('lonely'), 2);
+});
+
+test('detectCommunities follows edge weights and keeps every node apart without edges', () => {
+    const nodes = ['x', 'y', 'z', 'w'];
+    const edges = [
+        { source: 'x', target: 'y', weight: 10 },
+        { source: 'z', target: 'w', weight: 10 },
+        { source: 'y', target: 'z', weight: 1 }
+    ];
+
+    const communities = detectCommunities(nodes, edges);
+    assert.equal(communities.get('x'), communities.get('y'));
+    assert.equal(communities.get('z'), communities.get('w'));
+    assert.notEqual(communities.get('x'), communities.get('z'));
+
+    assert.deepEqual([...detectCommunities(['p', 'q'], []).values()], [0, 1]);
+    assert.equal(detectCommunities([], []).size, 0);
+});
+
+test('summarizeCommunity clamps importance and asks the model once per community', async () => {
+    const provider = new FakeProvider({ response: '{"title": " Acme leadership ", "summary": "Jane runs Acme.", "importance": "12"}' });
+    const llm = new LLMService({ provider, cache: new InMemoryCache() });
+    const community = {
+        entities: [{ name: 'Jane Smith', type: 'PERSON' }, { name: 'Acme', type: 'ORGANIZATION' }],
+        relationships: [{ from: 'Jane Smith', type: 'CEO_OF', to: 'Acme' }],
+        excerpts: ['Jane Smith\n\nis the CEO of Acme.']
+    };
+
+    assert.deepEqual(await summarizeCommunity(llm, community), { title: 'Acme leadership', summary: 'Jane runs Acme.', importance: 10 });
+    assert.match(provider.calls[0].messages[1].content, /- Jane Smith CEO_OF Acme\n\nExcerpts:\n> Jane Smith is the CEO of Acme\./);
+
+    await summarizeCommunity(llm, community);
+    assert.equal(provider.calls.length, 1);
+});
+
+test('mapCommunities keeps scored points from the reports it was given', async () => {
+    const provider = new FakeProvider({
+        response: JSON.stringify({
+            points: [
+                { description: 'Acme was founded in 1990.', community: '2', score: 150 },
+                { description: 'Unrelated.', community: 1, score: 0 },
+                { description: 'From a report that was not sent.', community: 9, score: 50 }
+            ]
+        })
+    });
+
+    const points = await mapCommunities(new LLMService({ provider }), 'When was Acme founded?', [
+        { id: 1, title: 'Weather', summary: 'Rain.' },
+        { id: 2, title: 'Acme', summary: 'Acme history.' }
+    ]);
+
+    assert.deepEqual(points, [{ description: 'Acme was founded in 1990.', community: 2, score: 100 }]);
+    assert.match(provider.calls[0].messages[1].content, /\[2\] Acme\nAcme history\./);
+});
@@ -0,0 +1,126 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryConversationStore, Neo4jConversationStore, estimateTokens, resolveConversationStore, trimHistory } from '../src/conversations.js';
+import { DocuGraphRAG } from '../src/index.js';
+import { FakeProvider } from '../src/providers.js';
+import { LLMService } from '../src/llm.js';
+
+const turn = (question, answer) => [{ role: 'user', content: question }, { role: 'assistant', content: answer }];
+
+test('InMemoryConversationStore keeps the latest maxMessages of a conversation', async () => {
+    const store = new InMemoryConversationStore({ maxMessages: 4 });
+    const conversationId = await store.create();
+
+    for (let i = 1; i <= 3; i++) {
+        await store.addMessages(conversationId, turn(`q${i}`, `a${i}`));
+    }
+
+    assert.deepEqual((await store.getMessages(conversationId)).map(m => m.content), ['q2', 'a2', 'q3', 'a3']);
+    assert.deepEqual((await store.getMessages(conversationId, 1)).map(m => m.content), ['a3']);
+});
+
+test('InMemoryConversationStore drops the least recently used conversation beyond maxConversations', async () => {
+    const store = new InMemoryConversationStore({ maxConversations: 2 });
+    const first = await store.create();
+    const second = await store.create();
+
+    // Using the first makes the second the oldest
+    await store.addMessages(first, turn('q', 'a'));
+    const third = await store.create();
+
+    assert.equal(await store.exists(first), true);
+    assert.equal(await store.exists(second), false);
+    assert.equal(await store.exists(third), true);
+});
+
+test('InMemoryConversationStore refuses messages for an unknown conversation', async () => {
+    const store = new InMemoryConversationStore();
+
+    await assert.rejects(store.addMessages('unknown', turn('q', 'a')), /Conversation unknown not found/);
+    assert.equal(await store.exists('unknown'), false);
+    assert.equal(store.conversations.size, 0);
+});
+
+test('Neo4jConversationStore adds messages only to an existing conversation', async () => {
+    const queries = [];
+    const store = new Neo4jConversationStore(async (query, params) => {
+        queries.push(query);
+        return { records: [{ get: () => ({ toNumber: () => 0 }) }] };
+    }, { namespace: 'acme' });
+
+    await assert.rejects(store.addMessages('unknown', turn('q', 'a')), /Conversation unknown not found/);
+    assert.match(queries[0], /^\s*MATCH \(c:Conversation/);
+    assert.doesNotMatch(queries[0], /MERGE/);
+});
+
+test('chat() and getConversation() reject conversation ids the store doesn\'t have', async () => {
+    const rag = new DocuGraphRAG({ openaiApiKey: 'test', cache: false });
+    rag.runQuery = async () => {
+        throw new Error('No search should run');
+    };
+
+    await assert.rejects(rag.chat('What about her manager?', { documentIds: ['doc'], conversationId: 'unknown' }),
+        /Conversation unknown not found/);
+    assert.equal(await rag.getConversation('unknown'), null);
+
+    const conversationId = await rag.createConversation();
+    assert.deepEqual(await rag.getConversation(conversationId), []);
+});
+
+test('trimHistory keeps the most recent messages that fit the token budget', () => {
+    const messages = [
+        { role: 'user', content: 'x'.repeat(40) },
+        { role: 'assistant', content: 'y'.repeat(20) },
+        { role: 'user', content: 'z'.repeat(8) }
+    ];
+
+    assert.equal(estimateTokens('x'.repeat(41)), 11);
+    assert.equal(estimateTokens(null), 0);
+    assert.deepEqual(trimHistory(messages, 7).map(m => m.role), ['assistant', 'user']);
+    assert.deepEqual(trimHistory(messages, 6), [messages[2]]);
+    assert.deepEqual(trimHistory(messages, 1), []);
+});
+
+test('resolveConversationStore accepts \'memory\', \'neo4j\' and store objects', () => {
+    const runQuery = async () => ({ records: [] });
+    const custom = { getMessages: async () => [], addMessages: async () => {} };
+
+    assert.ok(resolveConversationStore(undefined, runQuery) instanceof InMemoryConversationStore);
+    assert.equal(resolveConversationStore('memory', runQuery, { maxMessages: 10 }).maxMessages, 10);
+    assert.equal(resolveConversationStore('neo4j', runQuery, { namespace: 'acme' }).namespace, 'acme');
+    assert.equal(resolveConversationStore(custom, runQuery), custom);
+    assert.throws(() => resolveConversationStore('redis', runQuery), /conversationStore must be/);
+});
+
+test('chat() rewrites follow-ups from the history and saves the turn once the answer is read', async () => {
+    const rag = new DocuGraphRAG({ openaiApiKey: 'test', cache: false });
+    const provider = new FakeProvider({
+        response: messages => messages[0].content.includes('standalone') ? 'Who is Jane Smith\'s manager?' : 'Tom Baker [1].'
+    });
+    rag.llm = new LLMService({ provider });
+    const searched = [];
+    rag.retrieveContext = async (mode, question) => {
+        searched.push(question);
+        return { sources: [], context: '', query: null };
+    };
+
+    const conversationId = await rag.createConversation();
+    await rag.conversations.addMessages(conversationId, [
+        { role: 'user', content: 'Who is Jane Smith?' },
+        { role: 'assistant', content: 'The CFO of Acme [2, 3].' }
+    ]);
+
+    const answer = await rag.chat('What about her manager?', { documentIds: ['doc'], conversationId });
+    assert.equal(answer.standaloneQuestion, 'Who is Jane Smith\'s manager?');
+    assert.deepEqual(searched, ['Who is Jane Smith\'s manager?']);
+    assert.match(provider.calls[0].messages[1].content, /Assistant: The CFO of Acme\./);
+    assert.equal((await rag.getConversation(conversationId)).length, 2);
+
+    for await (const chunk of answer.stream) {
+        assert.ok(chunk);
+    }
+    assert.deepEqual((await rag.getConversation(conversationId)).slice(2).map(({ role, content }) => [role, content]), [
+        ['user', 'What about her manager?'],
+        ['assistant', 'Tom Baker [1].']
+    ]);
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateCypher } from '../src/cypher.js';
+
+const SCOPED = `MATCH (e:Entity)
+WHERE e.namespace = $namespace AND e.documentId IN $documentIds AND e.type = 'ORGANIZATION'
+RETURN e.text AS name`;
+
+test('validateCypher accepts a scoped read query and adds a row limit', () => {
+    assert.equal(validateCypher(SCOPED, { maxRows: 10 }), `${SCOPED}\nLIMIT 10`);
+    assert.equal(validateCypher(`${SCOPED} LIMIT 500;`, { maxRows: 10 }), `${SCOPED} LIMIT 10`);
+    assert.equal(validateCypher(`${SCOPED} LIMIT 5`, { maxRows: 10 }), `${SCOPED} LIMIT 5`);
+});
+
+test('validateCypher ignores keywords in strings, properties and labels', () => {
+    const query = `MATCH (e:Entity)
+WHERE e.namespace = $namespace AND e.documentId IN $documentIds AND e.text = 'DELETE everything' AND e.start IS NOT NULL
+RETURN e.text`;
+    assert.ok(validateCypher(query));
+});
+
+test('validateCypher rejects writes, procedures and other statements', () => {
+    const cases = [
+        ['MATCH (e:Entity) DETACH DELETE e RETURN 1', /DELETE is not allowed|DETACH is not allowed/],
+        [`${SCOPED.replace('RETURN', 'SET e.text = 1 RETURN')}`, /SET is not allowed/],
+        ['CALL db.labels() YIELD label RETURN label', /Procedure calls are not allowed/],
+        [`${SCOPED} UNION ${SCOPED}`, /UNION is not allowed/],
+        [`${SCOPED}; MATCH (n) RETURN n`, /single statement/],
+        ['RETURN 1', /must start with MATCH, OPTIONAL MATCH, WITH, UNWIND or a CALL { } subquery, not RETURN/],
+        ['MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds RETURN apoc.text.join([e.text], ",")', /not allowed/],
+        ['MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds RETURN e LIMIT $limit', /Unknown parameter \$limit/],
+        ['MATCH (e:Entity) WHERE e.namespace = $namespace RETURN e', /must filter on documentId/],
+        ['MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds', /must end with RETURN/]
+    ];
+    for (const [query, error] of cases) {
+        assert.throws(() => validateCypher(query), error, query);
+    }
+});
+
+test('validateCypher accepts queries whose every node is scoped', () => {
+    const queries = [
+        `MATCH (e:Entity {namespace: $namespace})-[r]->(o:Entity)
+WHERE e.documentId IN $documentIds AND o.namespace = $namespace AND o.documentId IN $documentIds
+RETURN e.text AS from, type(r) AS type, o.text AS to`,
+        `MATCH (e:Entity) WHERE (e.namespace = $namespace AND e.documentId IN $documentIds) AND e.type = 'ORGANIZATION'
+OPTIONAL MATCH (e)-[:SAME_AS]->(ce:CanonicalEntity) WHERE ce.namespace = $namespace
+RETURN count(DISTINCT coalesce(ce.canonicalId, e.text)) AS organizations`,
+        `MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds
+WITH e, count(*) AS mentions
+MATCH (e)-[:LOCATED_IN]->(l:Entity) WHERE l.namespace = $namespace AND l.documentId IN $documentIds
+RETURN l.text AS location, sum(mentions) AS mentions ORDER BY mentions DESC`,
+        `MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds
+AND EXISTS { MATCH (e)-[:WORKS_FOR]->(o:Entity) WHERE o.namespace = $namespace AND o.documentId IN $documentIds }
+CALL { WITH e MATCH (e)-->(p:Entity) WHERE p.namespace = $namespace AND p.documentId IN $documentIds RETURN p }
+RETURN e.text AS person, [x IN collect(p.text) WHERE x STARTS WITH 'A'] AS names`,
+        `CALL { MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds RETURN e }
+RETURN e.text AS entity`,
+        `MATCH(e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds RETURN e.text`
+    ];
+    for (const query of queries) {
+        assert.ok(validateCypher(query), query);
+    }
+});
+
+test('validateCypher rejects nodes that escape the namespace or the selected documents', () => {
+    const cases = [
+        // A second MATCH after WITH reads every namespace
+        [`MATCH (e:Entity {namespace: $namespace}) WHERE e.documentId IN $documentIds WITH 1 AS x MATCH (o:Entity) RETURN o.text, o.namespace`, /Node o must be filtered/],
+        [`${SCOPED.replace('MATCH (e:Entity)', 'MATCH (e:Entity), (o:Entity)')}, o.text`, /Node o must be filtered/],
+        [`MATCH (e:Entity)-->(:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds RETURN e`, /needs a variable/],
+        [`MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds OR true RETURN e`, /Node e must be filtered/],
+        [`MATCH (e:Entity) WHERE e.namespace = $namespace OR e.documentId IN $documentIds RETURN e`, /Node e must be filtered/],
+        [`MATCH (e:Entity) WHERE NOT e.namespace = $namespace AND e.documentId IN $documentIds RETURN e`, /Node e must be filtered/],
+        [`MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds WITH e.text AS e MATCH (e) RETURN e`, /Node e must be filtered/],
+        [`${SCOPED}, [(e)-[]-(o) | o.text] AS others`, /only allowed in MATCH/],
+        [`MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds CALL { MATCH (e) RETURN e.text AS t } RETURN t`, /Node e must be filtered/],
+        [`MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds AND EXISTS { MATCH (o) WHERE o.text = e.text } RETURN e`, /Node o must be filtered/],
+        [`MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds RETURN COUNT { (o:Entity) } AS n`, /Subqueries must start/],
+        [`MATCH (e:Entity) WHERE e.namespace = $namespace AND e.documentId IN $documentIds MATCH (e)-[*]-(o:Entity) WHERE o.namespace = $namespace AND o.documentId IN $documentIds RETURN o`, /Variable-length/],
+        [`MATCH p = shortestPath((e:Entity)-[:R]-(o:Entity)) WHERE e.namespace = $namespace AND e.documentId IN $documentIds AND o.namespace = $namespace AND o.documentId IN $documentIds RETURN p`, /may only contain nodes/]
+    ];
+    for (const [query, error] of cases) {
+        assert.throws(() => validateCypher(query), error, query);
+    }
+});
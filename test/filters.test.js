@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilter, normalizeMetadata } from '../src/filters.js';
+
+test('normalizeMetadata stores every key as a prefixed list and dates as ISO strings', () => {
+    const { metadata, properties } = normalizeMetadata({
+        'Due Date': new Date('2024-03-01T00:00:00Z'),
+        tags: ['a', 'b'],
+        pages: 3,
+        skipped: null
+    });
+
+    assert.deepEqual(metadata, { dueDate: '2024-03-01T00:00:00.000Z', tags: ['a', 'b'], pages: 3 });
+    assert.deepEqual(properties, { meta_dueDate: ['2024-03-01T00:00:00.000Z'], meta_tags: ['a', 'b'], meta_pages: [3] });
+    assert.equal(normalizeMetadata(null), null);
+    assert.equal(normalizeMetadata({ empty: [] }), null);
+});
+
+test('dates given as Date objects and as strings compare the same way', () => {
+    const stored = value => normalizeMetadata({ date: value }).properties.meta_date[0];
+    const bound = (operator, value) => Object.values(compileFilter({ date: { [operator]: value } }, 'd').params)[1];
+
+    // A date-only string against a Date filter, and a Date against a date-only filter, at the boundary
+    assert.ok(stored('2024-01-01') >= bound('$gte', new Date('2024-01-01')));
+    assert.ok(stored(new Date('2024-01-01')) <= bound('$lte', '2024-01-01'));
+    assert.equal(stored('2024-01-01'), stored(new Date('2024-01-01T00:00:00Z')));
+    assert.equal(stored('2024-01-01T09:30:00+01:00'), '2024-01-01T08:30:00.000Z');
+    assert.equal(stored('2024-01-01 08:30'), '2024-01-01T08:30:00.000Z');
+    assert.ok(stored('2023-12-31') < bound('$gt', new Date('2023-12-31T12:00:00Z')));
+
+    const equal = compileFilter({ date: new Date('2024-01-01') }, 'd').params.filter_1;
+    assert.equal(equal, stored('2024-01-01'));
+    assert.throws(() => normalizeMetadata({ date: '2024-02-30' }), /invalid date/);
+    assert.equal(normalizeMetadata({ code: '2024-01' }).metadata.code, '2024-01');
+});
+
+test('normalizeMetadata rejects values Neo4j cannot store', () => {
+    assert.throws(() => normalizeMetadata(['a']), /must be an object/);
+    assert.throws(() => normalizeMetadata({ a: [1, 'x'] }), /must not mix types/);
+    assert.throws(() => normalizeMetadata({ a: { b: 1 } }), /must be a string, number, boolean or date/);
+    assert.throws(() => normalizeMetadata({ '!!': 1 }), /no usable characters/);
+});
+
+test('compileFilter passes names and values as parameters', () => {
+    const { cypher, params } = compileFilter({
+        department: 'Legal',
+        date: { $gte: '2024-01-01', $lt: '2025-01-01' },
+        tags: ['board', 'minutes']
+    }, 'c');
+
+    assert.equal(cypher,
+        '($filter_1 IN coalesce(c[$filter_0], []) '
+        + 'AND any(value IN coalesce(c[$filter_2], []) WHERE value >= $filter_3 AND value < $filter_4) '
+        + 'AND any(value IN coalesce(c[$filter_5], []) WHERE value IN $filter_6))');
+    assert.deepEqual(params, {
+        filter_0: 'meta_department',
+        filter_1: 'Legal',
+        filter_2: 'meta_date',
+        filter_3: '2024-01-01T00:00:00.000Z',
+        filter_4: '2025-01-01T00:00:00.000Z',
+        filter_5: 'meta_tags',
+        filter_6: ['board', 'minutes']
+    });
+});
+
+test('compileFilter combines with $or, $not, $ne, $nin and $exists', () => {
+    const { cypher, params } = compileFilter({
+        $or: [{ author: 'Jane' }, { reviewed: { $exists: false } }],
+        $not: { status: { $ne: 'draft' } },
+        region: { $nin: ['EU'] }
+    }, 'd', 'f');
+
+    assert.equal(cypher,
+        '((($f_1 IN coalesce(d[$f_0], [])) OR (size(coalesce(d[$f_2], [])) = 0)) '
+        + 'AND NOT (NOT $f_4 IN coalesce(d[$f_3], [])) '
+        + 'AND none(value IN coalesce(d[$f_5], []) WHERE value IN $f_6))');
+    assert.equal(params.f_0, 'meta_author');
+    assert.equal(params.f_6[0], 'EU');
+});
+
+test('compileFilter without a filter matches everything', () => {
+    assert.deepEqual(compileFilter(null, 'c'), { cypher: 'true', params: {} });
+});
+
+test('compileFilter rejects unknown operators and malformed operands', () => {
+    assert.throws(() => compileFilter({ $foo: 1 }, 'c'), /Unknown filter operator \$foo/);
+    assert.throws(() => compileFilter({ a: { $bar: 1 } }, 'c'), /Unknown filter operator \$bar/);
+    assert.throws(() => compileFilter({ a: { $in: 3 } }, 'c'), /must be a list/);
+    assert.throws(() => compileFilter({ $or: [] }, 'c'), /non-empty list/);
+    assert.throws(() => compileFilter({ a: {} }, 'c'), /has no conditions/);
+    assert.throws(() => compileFilter({ a: { $eq: { b: 1 } } }, 'c'), /must be a string, number, boolean or date/);
+});
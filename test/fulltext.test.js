@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildFulltextQuery, extractSearchTerms, escapeLucene } from '../src/fulltext.js';
+
+test('extractSearchTerms drops stopwords and duplicates', () => {
+    assert.deepEqual(extractSearchTerms('Who is the CEO of Acme and who founded Acme?'), ['ceo', 'acme', 'founded']);
+});
+
+test('buildFulltextQuery builds term, fuzzy and phrase queries', () => {
+    assert.equal(buildFulltextQuery('Who founded Acme?'), 'founded acme');
+    assert.equal(buildFulltextQuery('Who founded Acme?', 'fuzzy'), 'founded~ acme~');
+    assert.equal(buildFulltextQuery('say "hi"', 'phrase'), '"say \\"hi\\""');
+    assert.equal(buildFulltextQuery('who is it?'), null);
+    assert.throws(() => buildFulltextQuery('x', 'regex'), /Unknown text search mode/);
+});
+
+test('names with punctuation are kept and escaped', () => {
+    assert.deepEqual(extractSearchTerms('What is the role of AT&T (inc)?'), ['role', 'at&t', 'inc']);
+    assert.equal(buildFulltextQuery('What is the role of AT&T (inc)?'), 'role at\\&t inc');
+    assert.equal(buildFulltextQuery('Is the U.S. office closed?', 'fuzzy'), 'u.s~ office~ closed~');
+});
+
+test('escapeLucene escapes query syntax', () => {
+    assert.equal(escapeLucene('a+b:(c)'), 'a\\+b\\:\\(c\\)');
+});
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fuseResults, minMaxNormalize } from '../src/fusion.js';
+
+const chunk = (content, score, extra = {}) => ({ content, documentId: 'doc', score, ...extra });
+
+test('minMaxNormalize scales scores to 0..1 and treats equal scores as 1', () => {
+    assert.deepEqual(minMaxNormalize([chunk('a', 2), chunk('b', 4)]).map(r => r.normalizedScore), [0, 1]);
+    assert.deepEqual(minMaxNormalize([chunk('a', 3), chunk('b', 3)]).map(r => r.normalizedScore), [1, 1]);
+});
+
+test('rrf fusion ranks chunks found by several strategies first and merges their fields', () => {
+    const fused = fuseResults([
+        { strategy: 'vector', weight: 1, results: [chunk('a', 0.9), chunk('b', 0.8, { chunkIndex: 2 })] },
+        { strategy: 'text', weight: 1, results: [chunk('b', 5, { entities: [{ text: 'Acme' }] }), chunk('c', 4)] }
+    ]);
+
+    assert.deepEqual(fused.map(r => r.content), ['b', 'a', 'c']);
+    assert.deepEqual(fused[0].scores, { vector: 0.8, text: 5 });
+    assert.equal(fused[0].chunkIndex, 2);
+    assert.deepEqual(fused[0].entities, [{ text: 'Acme' }]);
+});
+
+test('minmax fusion weighs normalized scores', () => {
+    const fused = fuseResults([
+        { strategy: 'vector', weight: 0.2, results: [chunk('a', 0.9), chunk('b', 0.1)] },
+        { strategy: 'text', weight: 0.8, results: [chunk('b', 10), chunk('a', 1)] }
+    ], { method: 'minmax' });
+
+    assert.deepEqual(fused.map(r => r.content), ['b', 'a']);
+    assert.ok(Math.abs(fused[0].score - 0.8) < 1e-9);
+});
+
+test('fuseResults rejects unknown methods', () => {
+    assert.throws(() => fuseResults([], { method: 'max' }), /Unknown fusion method/);
+});
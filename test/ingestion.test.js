@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DocuGraphRAG } from '../src/index.js';
+
+// No database: queries are recorded and answered with no rows
+function createRag() {
+    const rag = new DocuGraphRAG({ openaiApiKey: 'test', cache: false });
+    rag.queries = [];
+    rag.runQuery = async (query, params = {}) => {
+        rag.queries.push({ query, params });
+        return { records: [] };
+    };
+    return rag;
+}
+
+test('a duplicate upload registers the existing document id, not the provisional one', async () => {
+    const rag = createRag();
+    rag.findDuplicateDocument = async () => ({ documentId: 'existing', fileName: 'report.txt', chunkCount: 3 });
+
+    const job = rag.ingestDocument('Same text as before', 'Focus', 'report.txt');
+    const provisional = job.documentId;
+
+    assert.equal(await job.registered, 'existing');
+    assert.notEqual(provisional, 'existing');
+    assert.equal((await job.done).reused, true);
+    assert.equal(job.toJSON().documentId, 'existing');
+    assert.equal(rag.queries.some(({ query }) => query.includes('CREATE (d:Document')), false);
+});
+
+test('a new upload registers its id once the Document node is created', async () => {
+    const rag = createRag();
+    rag.findDuplicateDocument = async () => null;
+
+    const job = rag.ingestDocument('New text', 'Focus', 'report.txt');
+    const documentId = await job.registered;
+
+    assert.equal(documentId, job.documentId);
+    const created = rag.queries.find(({ query }) => query.includes('CREATE (d:Document'));
+    assert.equal(created.params.documentId, documentId);
+    // Without a provider connection the rest of the run fails, which leaves the registration alone
+    await job.done.catch(() => {});
+});
+
+test('registration fails when the run fails before the document exists', async () => {
+    const rag = createRag();
+    rag.findDuplicateDocument = async () => {
+        throw new Error('Neo4j unavailable');
+    };
+
+    const job = rag.ingestDocument('Text', 'Focus', 'report.txt');
+    await assert.rejects(job.registered, /Neo4j unavailable/);
+});
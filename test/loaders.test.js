@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LoaderRegistry, createLoaderRegistry, extractMarkdownHeadings, htmlToText, textLoader } from '../src/loaders.js';
+
+test('extractMarkdownHeadings records level, text and offset', () => {
+    const text = '# Title\n\nIntro\n\n## Setup ##\nBody\n#hashtag';
+
+    assert.deepEqual(extractMarkdownHeadings(text), [
+        { level: 1, text: 'Title', start: 0 },
+        { level: 2, text: 'Setup', start: text.indexOf('## Setup') }
+    ]);
+});
+
+test('extractMarkdownHeadings skips "#" lines inside fenced code blocks', () => {
+    const text = [
+        '# Install',
+        '```bash',
+        '# not a heading',
+        '````',
+        '## Usage',
+        '~~~~',
+        '# still code',
+        '```',
+        '~~~',
+        '# also code',
+        '~~~~',
+        '## Notes',
+        '```',
+        '# unclosed fences run to the end'
+    ].join('\n');
+
+    assert.deepEqual(extractMarkdownHeadings(text).map(heading => heading.text), ['Install', 'Usage', 'Notes']);
+});
+
+test('the registry picks loaders by extension before MIME type and lets later ones win', async () => {
+    const registry = createLoaderRegistry();
+
+    // Browsers send .md and .csv files as text/plain or application/octet-stream
+    assert.equal(registry.resolve({ mimeType: 'text/plain', fileName: 'notes.MD' }).name, 'markdown');
+    assert.equal(registry.resolve({ mimeType: 'application/json; charset=utf-8' }).name, 'json');
+    assert.equal(registry.supports('application/zip', 'archive.zip'), false);
+    await assert.rejects(registry.load('x', { mimeType: 'application/zip' }), /Unsupported document type: application\/zip/);
+
+    registry.register({ name: 'logs', extensions: ['.log'], load: async buffer => ({ text: buffer.toString().toUpperCase() }) });
+    assert.deepEqual(await registry.load('boot ok', { fileName: 'app.log' }),
+        { text: 'BOOT OK', metadata: { format: 'logs', mimeType: null } });
+    assert.throws(() => new LoaderRegistry([{ ...textLoader, load: null }]), /needs a name and a load/);
+});
+
+test('the CSV loader writes one "column: value" line per record', async () => {
+    const csv = 'name , notes\r\n"Smith, Jane","said ""hi""\nthen left"\r\n\r\nBob,';
+    const { text, metadata } = await createLoaderRegistry().load(csv, { fileName: 'people.csv' });
+
+    assert.equal(text, 'name: Smith, Jane; notes: said "hi"\nthen left\nname: Bob; notes: ');
+    assert.equal(metadata.format, 'csv');
+    assert.deepEqual(metadata.columns, ['name', 'notes']);
+});
+
+test('the HTML loader keeps headings as markdown and drops scripts, tags and entities', async () => {
+    const html = '<html><head><title>Ignored</title></head><body>'
+        + '<h1>Annual <b>Report</b></h1><script>alert(1)</script><!-- draft -->'
+        + '<p>Tom &amp; Jerry&#39;s &#x4E2D;</p><ul><li>one</li><li>two</li></ul>'
+        + '<table><tr><td>a</td><td>b</td></tr></table></body></html>';
+    const { text, metadata } = await createLoaderRegistry().load(html, { mimeType: 'text/html; charset=utf-8' });
+
+    assert.equal(text, '# Annual Report\n\nTom & Jerry\'s 中\n\n- one\n- two\n\na\tb');
+    assert.equal(metadata.mimeType, 'text/html');
+    assert.deepEqual(metadata.headings, [{ level: 1, text: 'Annual Report', start: 0 }]);
+    assert.equal(htmlToText('<p>&unknown; &#xZZ;</p>'), '&unknown; &#xZZ;');
+});
+
+test('the JSON loader flattens each record into "path: value" lines', async () => {
+    const json = JSON.stringify([{ name: 'Acme', address: { city: 'Berlin' }, tags: ['a', 'b'] }, { name: 'Beta', active: null }]);
+    const { text, metadata } = await createLoaderRegistry().load(Buffer.from(json), { fileName: 'companies.json' });
+
+    assert.equal(text, 'name: Acme\naddress.city: Berlin\ntags[0]: a\ntags[1]: b\n\nname: Beta\nactive: null');
+    assert.equal(metadata.recordCount, 2);
+    assert.equal((await createLoaderRegistry().load('"just text"', { fileName: 'value.json' })).text, 'just text');
+});
@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { assertNamespace, mappedDatabases, resolveDatabase } from '../src/namespaces.js';
+
+test('assertNamespace accepts plain names and rejects anything else', () => {
+    assert.equal(assertNamespace('acme-2.eu_west'), 'acme-2.eu_west');
+    for (const namespace of ['', '-acme', 'acme corp', 'a/b', 'x'.repeat(65), null]) {
+        assert.throws(() => assertNamespace(namespace), /Invalid namespace/, String(namespace));
+    }
+});
+
+test('resolveDatabase takes a name, a map or a function', () => {
+    assert.equal(resolveDatabase(null, 'acme'), null);
+    assert.equal(resolveDatabase('shared', 'acme'), 'shared');
+    assert.equal(resolveDatabase({ acme: 'acme-db' }, 'acme'), 'acme-db');
+    assert.equal(resolveDatabase({ acme: 'acme-db' }, 'globex'), null);
+    assert.equal(resolveDatabase({ acme: 'acme-db' }, 'constructor'), null);
+    assert.equal(resolveDatabase(namespace => `${namespace}-db`, 'acme'), 'acme-db');
+});
+
+test('mappedDatabases lists the databases of a map only', () => {
+    assert.deepEqual(mappedDatabases({ acme: 'acme-db', globex: 'globex-db' }), ['acme-db', 'globex-db']);
+    assert.deepEqual(mappedDatabases(namespace => namespace), []);
+    assert.deepEqual(mappedDatabases('shared'), []);
+});
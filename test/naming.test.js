@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RELATIONSHIP_TYPE, toEntityLabel, toPropertyKey, toRelationshipType } from '../src/naming.js';
+
+test('toRelationshipType writes any spelling as an UPPER_SNAKE_CASE type', () => {
+    for (const name of ['works for', 'Works-For', 'worksFor', ' works_for ', 'WORKS FOR!']) {
+        assert.equal(toRelationshipType(name), 'WORKS_FOR', name);
+    }
+    assert.equal(toRelationshipType('fondé par'), 'FONDE_PAR');
+    assert.equal(toRelationshipType('10-K filed by'), 'REL_10_K_FILED_BY');
+    assert.equal(toRelationshipType('x'.repeat(100)).length, 64);
+});
+
+test('toRelationshipType keeps clear of the library\'s types and Cypher keywords', () => {
+    assert.equal(toRelationshipType('has chunk'), 'HAS_CHUNK_REL');
+    assert.equal(toRelationshipType('same as'), 'SAME_AS_REL');
+    assert.equal(toRelationshipType('delete'), 'DELETE_REL');
+    assert.equal(toRelationshipType('`) DETACH DELETE n //'), 'DETACH_DELETE_N');
+    assert.equal(toRelationshipType('→'), DEFAULT_RELATIONSHIP_TYPE);
+    assert.equal(toRelationshipType(null), DEFAULT_RELATIONSHIP_TYPE);
+});
+
+test('toEntityLabel writes entity types as PascalCase labels', () => {
+    assert.equal(toEntityLabel('PERSON'), 'Person');
+    assert.equal(toEntityLabel('legal entity'), 'LegalEntity');
+    assert.equal(toEntityLabel('3D model'), 'Type3DModel');
+    assert.equal(toEntityLabel('document'), 'DocumentEntity');
+    assert.equal(toEntityLabel('community'), 'CommunityEntity');
+    assert.equal(toEntityLabel('???'), null);
+});
+
+test('toPropertyKey keeps identifiers and camel-cases everything else', () => {
+    assert.equal(toPropertyKey('start_date'), 'start_date');
+    assert.equal(toPropertyKey('jobTitle'), 'jobTitle');
+    assert.equal(toPropertyKey('Job Title'), 'jobTitle');
+    assert.equal(toPropertyKey('e-mail address'), 'eMailAddress');
+    assert.equal(toPropertyKey('2nd phone'), '_2ndPhone');
+    assert.equal(toPropertyKey(' - '), null);
+});
@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyOntology, describeOntology, normalizeOntology } from '../src/ontology.js';
+
+const ONTOLOGY = {
+    entities: {
+        PERSON: { description: 'A named individual', properties: { role: 'string', age: 'integer', active: 'boolean' } },
+        ORGANIZATION: { aliases: ['COMPANY', 'ORG'] },
+        LOCATION: {}
+    },
+    relationships: {
+        WORKS_FOR: { domain: ['PERSON'], range: ['company'], aliases: ['EMPLOYED_BY', 'works at'] },
+        LOCATED_IN: { domain: 'ORGANIZATION', range: 'LOCATION' }
+    }
+};
+
+test('normalizeOntology returns the canonical form and null for free-form extraction', () => {
+    assert.equal(normalizeOntology(null), null);
+    assert.equal(normalizeOntology(false), null);
+
+    const ontology = normalizeOntology(ONTOLOGY);
+    assert.deepEqual(ontology.entities.ORGANIZATION, { description: null, properties: null, aliases: ['COMPANY', 'ORG'] });
+    assert.deepEqual(ontology.relationships.WORKS_FOR.range, ['ORGANIZATION']);
+    assert.deepEqual(ontology.relationships.LOCATED_IN.domain, ['ORGANIZATION']);
+    assert.equal(ontology.additionalProperties, false);
+
+    assert.deepEqual(normalizeOntology({ entities: ['PERSON'], relationships: ['KNOWS'] }).relationships.KNOWS,
+        { description: null, domain: [], range: [], aliases: [] });
+    assert.deepEqual(normalizeOntology({ entities: { PERSON: { properties: ['name'] } } }).entities.PERSON.properties, { name: 'string' });
+});
+
+test('normalizeOntology rejects ontologies it cannot enforce', () => {
+    const cases = [
+        [['PERSON'], /must be an object/],
+        [{ relationships: ['KNOWS'] }, /at least one entity label/],
+        [{ entities: 'PERSON' }, /ontology.entities must be a list/],
+        [{ entities: { PERSON: { properties: { age: 'float' } } } }, /PERSON.properties.age must be one of/],
+        [{ entities: ['PERSON'], relationships: { WORKS_FOR: { range: ['ORGANIZATION'] } } }, /WORKS_FOR refers to unknown entity label ORGANIZATION/]
+    ];
+    for (const [ontology, error] of cases) {
+        assert.throws(() => normalizeOntology(ontology), error);
+    }
+});
+
+test('describeOntology lists labels, properties and relationship directions', () => {
+    const description = describeOntology(normalizeOntology(ONTOLOGY));
+
+    assert.match(description, /- PERSON: A named individual \(properties: role: string, age: integer, active: boolean\)/);
+    assert.match(description, /- WORKS_FOR: PERSON -> ORGANIZATION/);
+    assert.match(describeOntology(normalizeOntology({ entities: ['PERSON'] })), /none, return an empty relationships list/);
+});
+
+test('applyOntology remaps aliases and rejects unknown types and undeclared properties', () => {
+    const result = applyOntology(normalizeOntology(ONTOLOGY), {
+        entities: [
+            { text: 'Jane Smith', type: 'person', properties: { role: ' CFO ', age: '42', active: 'yes', hobby: 'golf', nickname: null } },
+            { text: 'Acme', type: 'Company' },
+            { text: 'Berlin', type: 'CITY' }
+        ],
+        relationships: [
+            { from: 'Jane Smith', type: 'works-at', to: 'Acme' },
+            { from: 'Jane Smith', type: 'KNOWS', to: 'Acme' }
+        ]
+    });
+
+    assert.deepEqual(result.entities.map(({ text, type, properties }) => [text, type, properties]), [
+        ['Jane Smith', 'PERSON', { role: 'CFO', age: 42, active: true }],
+        ['Acme', 'ORGANIZATION', {}]
+    ]);
+    assert.deepEqual(result.relationships.map(({ from, type, to }) => [from, type, to]), [['Jane Smith', 'WORKS_FOR', 'Acme']]);
+    assert.deepEqual(result.remapped, [
+        { kind: 'entity', from: 'person', to: 'PERSON' },
+        { kind: 'entity', from: 'Company', to: 'ORGANIZATION' },
+        { kind: 'relationship', from: 'works-at', to: 'WORKS_FOR' }
+    ]);
+    assert.deepEqual(result.rejected.map(({ kind, reason }) => [kind, reason]), [
+        ['property', 'not in schema'],
+        ['entity', 'unknown entity type'],
+        ['relationship', 'unknown relationship type']
+    ]);
+});
+
+test('applyOntology turns backwards relationships around and drops those that fit neither way', () => {
+    const result = applyOntology(normalizeOntology({ ...ONTOLOGY, additionalProperties: true }), {
+        entities: [
+            { text: 'Jane Smith', type: 'PERSON', properties: { age: 'forty', hobby: 'golf' } },
+            { text: 'Acme', type: 'ORGANIZATION' },
+            { text: 'Berlin', type: 'LOCATION' }
+        ],
+        relationships: [
+            { from: 'Acme', type: 'EMPLOYED_BY', to: 'Jane Smith' },
+            { from: 'Jane Smith', type: 'LOCATED_IN', to: 'Berlin' },
+            { from: 'Jane Smith', type: 'WORKS_FOR', to: 'Globex' }
+        ]
+    });
+
+    assert.deepEqual(result.entities[0].properties, { hobby: 'golf' });
+    assert.deepEqual(result.relationships.map(({ from, fromType, type, to, toType }) => [from, fromType, type, to, toType]),
+        [['Jane Smith', 'PERSON', 'WORKS_FOR', 'Acme', 'ORGANIZATION']]);
+    assert.deepEqual(result.rejected.map(({ property, reason }) => property ?? reason), [
+        'age',
+        'LOCATED_IN does not connect PERSON to LOCATION',
+        'endpoint is not an extracted entity'
+    ]);
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { IngestionJob, createLimiter, isRetryableError, runWithConcurrency, withRetry } from '../src/pipeline.js';
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+test('withRetry retries retryable errors with backoff and reports each attempt', async () => {
+    const retries = [];
+    const result = await withRetry(async attempt => {
+        if (attempt < 2) {
+            throw Object.assign(new Error('Too many requests'), { status: 429 });
+        }
+        return `done after ${attempt}`;
+    }, { baseDelay: 1, onRetry: (error, attempt, delay) => retries.push([error.status, attempt, delay <= 2 ** (attempt - 1)]) });
+
+    assert.equal(result, 'done after 2');
+    assert.deepEqual(retries, [[429, 1, true], [429, 2, true]]);
+});
+
+test('withRetry gives up on errors that are not retryable and after the last retry', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw Object.assign(new Error('Bad request'), { status: 400 });
+    }, { baseDelay: 1 }), /Bad request/);
+    assert.equal(calls, 1);
+
+    calls = 0;
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+    }, { retries: 2, baseDelay: 1 }), /reset/);
+    assert.equal(calls, 3);
+});
+
+test('isRetryableError accepts rate limits, server errors and dropped connections', () => {
+    assert.equal(isRetryableError({ status: 429 }), true);
+    assert.equal(isRetryableError({ response: { status: 503 } }), true);
+    assert.equal(isRetryableError({ statusCode: 408 }), true);
+    assert.equal(isRetryableError({ status: 401, code: 'ECONNRESET' }), false);
+    assert.equal(isRetryableError({ name: 'APIConnectionError' }), true);
+    assert.equal(isRetryableError(new TypeError('x is undefined')), false);
+});
+
+test('createLimiter runs at most `concurrency` calls at once and keeps going after a failure', async () => {
+    const run = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const task = value => run(async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await tick();
+        active--;
+        if (value === 'bad') {
+            throw new Error('bad task');
+        }
+        return value;
+    });
+
+    const results = await Promise.allSettled(['a', 'bad', 'c', 'd', 'e'].map(task));
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results.map(result => result.value ?? result.reason.message), ['a', 'bad task', 'c', 'd', 'e']);
+});
+
+test('runWithConcurrency keeps results in input order', async () => {
+    const results = await runWithConcurrency([3, 1, 2], 2, async (delay, index) => {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return `${index}:${delay}`;
+    });
+
+    assert.deepEqual(results, ['0:3', '1:1', '2:2']);
+    assert.deepEqual(await runWithConcurrency([], 4, async () => 1), []);
+});
+
+test('IngestionJob counts progress and replays every event to late iterators', async () => {
+    const job = new IngestionJob('job-1', 'doc-1', { fileName: 'report.pdf' });
+    job.progress('started');
+    job.progress('chunked', { total: 2 });
+    job.progress('embedded', { chunkIndex: 0 });
+    job.progress('extracted', { chunkIndex: 0, rejected: [{ kind: 'entity', reason: 'unknown entity type' }], remapped: [{}] });
+    job.progress('failed', { chunkIndex: 1, error: 'timeout' });
+
+    assert.equal(job.status, 'processing');
+    assert.deepEqual(job.counts(), { total: 2, embedded: 1, extracted: 1, failed: 1 });
+    assert.deepEqual(job.toJSON().rejected, [{ chunkIndex: 0, kind: 'entity', reason: 'unknown entity type' }]);
+
+    const seen = (async () => {
+        const types = [];
+        for await (const event of job) {
+            types.push(event.type);
+        }
+        return types;
+    })();
+    await tick();
+    job.progress('completed');
+
+    assert.deepEqual(await seen, ['started', 'chunked', 'embedded', 'extracted', 'failed', 'completed']);
+    assert.equal(job.status, 'error');
+    assert.equal(job.finished, true);
+    assert.deepEqual(job.toJSON().errors, [{ chunkIndex: 1, error: 'timeout' }]);
+});
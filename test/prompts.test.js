@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ANSWER_STYLES, DEFAULT_PROMPTS, renderPrompt, resolveAnswerStyle } from '../src/prompts.js';
+
+test('resolveAnswerStyle treats null and undefined as the default style', () => {
+    assert.equal(resolveAnswerStyle(null), ANSWER_STYLES.default);
+    assert.equal(resolveAnswerStyle(undefined), ANSWER_STYLES.default);
+    assert.equal(resolveAnswerStyle('concise'), ANSWER_STYLES.concise);
+});
+
+test('resolveAnswerStyle fills a custom style from the default and rejects unknown presets', () => {
+    assert.equal(resolveAnswerStyle({ instructions: 'Answer in haiku.' }).temperature, ANSWER_STYLES.default.temperature);
+    assert.throws(() => resolveAnswerStyle('poetic'), /Unknown answer style poetic/);
+    assert.throws(() => resolveAnswerStyle({}), /preset name or an object with instructions/);
+});
+
+test('renderPrompt fills variables once and rejects unknown ones', () => {
+    const rendered = renderPrompt(DEFAULT_PROMPTS, 'rewriteInput', { transcript: '{{question}}', question: 'Why?' });
+    assert.equal(rendered, 'Conversation:\n{{question}}\n\nFollow-up question: Why?');
+    assert.throws(() => renderPrompt({ custom: '{{missing}}' }, 'custom', {}), /Unknown variable \{\{missing\}\}/);
+});
@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeProvider, createProvider } from '../src/providers.js';
+import { LLMService } from '../src/llm.js';
+
+test('FakeProvider answers with the configured response and records calls', async () => {
+    const provider = new FakeProvider({ response: messages => `echo: ${messages.at(-1).content}` });
+
+    assert.equal(await provider.chat([{ role: 'user', content: 'hi' }]), 'echo: hi');
+    assert.deepEqual(provider.calls.map(call => call.method), ['chat']);
+});
+
+test('FakeProvider streams the response in OpenAI-style chunks', async () => {
+    const provider = new FakeProvider({ response: 'one two three' });
+    let text = '';
+    for await (const chunk of await provider.streamChat([])) {
+        text += chunk.choices[0].delta.content;
+    }
+    assert.equal(text, 'one two three');
+});
+
+test('FakeProvider embeddings are deterministic, normalized and similar for similar text', async () => {
+    const provider = new FakeProvider({ embeddingDimensions: 32 });
+    const a = await provider.embed('Acme hires Jane Doe');
+    const b = await provider.embed('Acme hires Jane Doe');
+    const c = await provider.embed('Quarterly revenue fell sharply');
+
+    assert.equal(a.length, 32);
+    assert.deepEqual(a, b);
+    const dot = (x, y) => x.reduce((sum, v, i) => sum + v * y[i], 0);
+    assert.ok(Math.abs(dot(a, a) - 1) < 1e-9);
+    assert.ok(dot(a, b) > dot(a, c));
+});
+
+test('createProvider builds providers by type', () => {
+    assert.ok(createProvider({ type: 'fake' }) instanceof FakeProvider);
+    assert.throws(() => createProvider({ type: 'nope' }), /Unknown provider type/);
+    assert.throws(() => createProvider({ type: 'openai-compatible' }), /baseURL is required/);
+});
+
+test('providerRetries sets the OpenAI client retries unless the provider config has its own', () => {
+    assert.equal(new LLMService({ openaiApiKey: 'test', providerRetries: 0 }).provider.client.maxRetries, 0);
+    assert.equal(new LLMService({ provider: { apiKey: 'test' }, providerRetries: 0 }).provider.client.maxRetries, 0);
+    assert.equal(new LLMService({ provider: { apiKey: 'test', maxRetries: 2 }, providerRetries: 0 }).provider.client.maxRetries, 2);
+    assert.equal(new LLMService({ openaiApiKey: 'test' }).provider.client.maxRetries, 3);
+});
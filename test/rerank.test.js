@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { LLMReranker, resolveReranker } from '../src/rerank.js';
+import { FakeProvider } from '../src/providers.js';
+import { LLMService } from '../src/llm.js';
+
+const chunks = [{ content: 'weather' }, { content: 'termination clause' }, { content: 'notice period' }];
+
+test('LLMReranker orders chunks by the model\'s ratings', async () => {
+    const llm = new LLMService({ provider: new FakeProvider({ response: '{"ratings": [{"id": 0, "score": 1}, {"id": 1, "score": 9}]}' }) });
+    const ranked = await new LLMReranker(llm).rerank('How is the contract terminated?', chunks);
+
+    assert.deepEqual(ranked.map(chunk => [chunk.content, chunk.rerankScore]),
+        [['termination clause', 0.9], ['weather', 0.1], ['notice period', null]]);
+});
+
+test('LLMReranker sends malformed ratings back and keeps the fused order when they stay unusable', async () => {
+    const replies = ['[{"id": 2, "score": "high"}]', '[{"id": 2, "score": 8}]'];
+    const provider = new FakeProvider({ response: () => replies.shift() });
+    const ranked = await new LLMReranker(new LLMService({ provider })).rerank('Notice?', chunks);
+    assert.equal(ranked[0].content, 'notice period');
+    assert.match(provider.calls[1].messages.at(-1).content, /score must be number/);
+
+    const failing = new LLMService({ provider: new FakeProvider({ response: 'no idea' }), structuredOutputRetries: 0 });
+    assert.deepEqual(await new LLMReranker(failing).rerank('Notice?', chunks), chunks);
+});
+
+test('resolveReranker accepts \'llm\', functions and reranker objects', () => {
+    assert.equal(resolveReranker(null), null);
+    assert.ok(resolveReranker('llm', {}) instanceof LLMReranker);
+    assert.equal(typeof resolveReranker(async list => list).rerank, 'function');
+    assert.throws(() => resolveReranker('cross-encoder'), /reranker must be/);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EntityResolver, nameSimilarity, namesAgree, normalizeEntityName, normalizeEntityType } from '../src/resolution.js';
+import { FakeProvider } from '../src/providers.js';
+import { LLMService } from '../src/llm.js';
+
+test('normalizeEntityType ignores case and surrounding whitespace', () => {
+    assert.equal(normalizeEntityType(' Person '), 'PERSON');
+    assert.equal(normalizeEntityType(null), '');
+});
+
+test('EntityResolver matches types case-insensitively and returns them normalized', async () => {
+    const resolver = new EntityResolver(null, { useEmbeddings: false });
+    const clusters = await resolver.resolve(
+        [
+            { text: 'Acme Corp', type: 'organization', documentId: 'b' },
+            { text: 'Jane Doe', type: 'Person', documentId: 'b' }
+        ],
+        [{ canonicalId: 'acme', name: 'Acme', type: 'Organization', aliases: ['Acme'], embedding: null }]
+    );
+
+    assert.deepEqual(clusters.map(cluster => [cluster.canonicalId, cluster.type, cluster.isNew]), [
+        ['acme', 'ORGANIZATION', false],
+        [clusters[1].canonicalId, 'PERSON', true]
+    ]);
+});
+
+test('names with different words do not merge, however similar their spelling', async () => {
+    const pairs = [
+        ['John Smith', 'Jane Smith', 'PERSON'],
+        ['2023', '2024', 'DATE'],
+        ['Acme Corp', 'Acme Bank', 'ORGANIZATION'],
+        ['Bank of America', 'Bank of China', 'ORGANIZATION'],
+        ['Microsoft', 'Microsoft Research', 'ORGANIZATION'],
+        ['Paris', 'Paris, Texas', 'LOCATION']
+    ];
+    for (const [first, second, type] of pairs) {
+        assert.equal(namesAgree(normalizeEntityName(first), normalizeEntityName(second)), false, `${first} / ${second}`);
+        assert.ok(nameSimilarity(normalizeEntityName(first), normalizeEntityName(second)) < 0.75, `${first} / ${second}`);
+
+        const resolver = new EntityResolver(null, { useEmbeddings: false });
+        const clusters = await resolver.resolve([
+            { text: first, type, documentId: 'a' },
+            { text: second, type, documentId: 'b' }
+        ]);
+        assert.equal(clusters.length, 2, `${first} / ${second}`);
+    }
+});
+
+test('names that differ in legal suffixes, initials or as an acronym merge', async () => {
+    const pairs = [
+        ['Acme Corporation', 'Acme Corp.', 'ORGANIZATION'],
+        ['John F. Kennedy', 'John Kennedy', 'PERSON'],
+        ['IBM', 'International Business Machines', 'ORGANIZATION']
+    ];
+    for (const [first, second, type] of pairs) {
+        const resolver = new EntityResolver(null, { useEmbeddings: false });
+        const clusters = await resolver.resolve([
+            { text: first, type, documentId: 'a' },
+            { text: second, type, documentId: 'b' }
+        ]);
+        assert.equal(clusters.length, 1, `${first} / ${second}`);
+    }
+    assert.ok(namesAgree(normalizeEntityName('J. Smith'), normalizeEntityName('John Smith')));
+});
+
+test('dates and numbers only merge when equal, even with embeddings', async () => {
+    const llm = new LLMService({ provider: new FakeProvider() });
+    const clusters = await new EntityResolver(llm).resolve([
+        { text: '2024', type: 'DATE', documentId: 'a' },
+        { text: '2024', type: 'date', documentId: 'b' },
+        { text: '2025', type: 'DATE', documentId: 'b' },
+        { text: 'Windows 10', type: 'PRODUCT', documentId: 'a' },
+        { text: 'Windows 11', type: 'PRODUCT', documentId: 'b' }
+    ]);
+    assert.deepEqual(clusters.map(cluster => cluster.mentions.length), [2, 1, 1, 1]);
+});
+
+test('the review asks the chat model through structured output and keeps entities apart when unsure', async () => {
+    const replies = ['Yes, they are the same.', '{"same": true}'];
+    const provider = new FakeProvider({ response: () => replies.shift() });
+    const resolver = new EntityResolver(new LLMService({ provider }));
+    const candidate = { name: 'Acme Corp', aliases: new Set(['Acme Corp']) };
+
+    assert.equal(await resolver.confirm('ACME', 'ORGANIZATION', candidate), true);
+    assert.equal(provider.calls.length, 2);
+
+    const failing = new EntityResolver(new LLMService({ provider: new FakeProvider({ response: '{"same": "maybe"}' }), structuredOutputRetries: 0 }));
+    assert.equal(await failing.confirm('ACME', 'ORGANIZATION', candidate), false);
+});
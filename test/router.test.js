@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RuleRouter, LLMRouter, resolveRouter, planRoute, DEFAULT_ROUTES } from '../src/router.js';
+import { FakeProvider } from '../src/providers.js';
+import { LLMService } from '../src/llm.js';
+
+const categories = {
+    'How many suppliers are located in Germany?': 'aggregate',
+    'List all contracts signed in 2023': 'aggregate',
+    'Which supplier has the most contracts?': 'aggregate',
+    'Count the invoices per customer': 'aggregate',
+    'Rank the vendors by total spend': 'aggregate',
+    'What are the main themes across these documents?': 'summary',
+    'Give me an overview of the reports': 'summary',
+    'Who works for Acme?': 'relationship',
+    'How is Jane Doe connected to Globex?': 'relationship',
+    'What does Jane Doe and John Roe have in common?': 'relationship',
+    'When was the contract signed?': 'factoid',
+    'What does indemnification mean?': 'factoid',
+    'What is the most important clause?': 'factoid',
+    'Does the account count as a liability?': 'factoid',
+    'What rank does the officer hold?': 'factoid'
+};
+
+test('RuleRouter classifies questions by their wording', async () => {
+    const router = new RuleRouter();
+    for (const [question, category] of Object.entries(categories)) {
+        assert.equal((await router.route(question)).category, category, question);
+    }
+});
+
+test('LLMRouter uses the model and falls back to the rules', async () => {
+    const answering = new LLMService({ provider: new FakeProvider({ response: '{"category": "Summary", "reason": "themes"}' }) });
+    assert.deepEqual(await new LLMRouter(answering).route('anything'), { category: 'summary', reason: 'themes', method: 'llm' });
+
+    const failing = new LLMService({ provider: new FakeProvider({ response: 'no idea' }), structuredOutputRetries: 0 });
+    const decision = await new LLMRouter(failing).route('How many suppliers are there?');
+    assert.equal(decision.category, 'aggregate');
+    assert.equal(decision.method, 'rules');
+});
+
+test('resolveRouter accepts names, functions and router objects', async () => {
+    assert.equal(resolveRouter(null), null);
+    assert.ok(resolveRouter('rules') instanceof RuleRouter);
+    assert.equal((await resolveRouter(() => ({ category: 'summary' })).route('x')).category, 'summary');
+    assert.throws(() => resolveRouter('magic'), /router must be/);
+});
+
+test('planRoute applies route overrides and defaults unknown categories to factoid', () => {
+    const route = planRoute({ category: 'relationship', reason: 'r', method: 'rules' }, { relationship: { graphSearch: false } });
+    assert.equal(route.mode, 'local');
+    assert.deepEqual(route.strategies, { vector: true, text: true, graph: false });
+    assert.deepEqual(route.weights, DEFAULT_ROUTES.relationship.weights);
+
+    assert.equal(planRoute({ category: 'weather' }).category, 'factoid');
+    assert.equal(planRoute({ category: 'aggregate' }).mode, 'cypher');
+});
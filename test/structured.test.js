@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJSON, extractJSON, repairJSON, validateSchema, requestStructured, StructuredOutputError } from '../src/structured.js';
+import { FakeProvider } from '../src/providers.js';
+
+test('parseJSON reads JSON wrapped in markdown and prose', () => {
+    assert.deepEqual(parseJSON('Sure!\n```json\n{"a": 1}\n```\nAnything else?'), { a: 1 });
+    assert.deepEqual(parseJSON('The list: [1, 2, 3].'), [1, 2, 3]);
+    assert.equal(extractJSON('no json here'), '');
+});
+
+test('repairJSON fixes comments, trailing commas, quotes, bare keys and Python literals', () => {
+    const repaired = repairJSON(`{
+        // a comment
+        name: 'Acme',
+        “quoted”: “yes”,
+        active: True, parent: None,
+        tags: ['a', 'b',],
+    }`);
+    assert.deepEqual(JSON.parse(repaired), { name: 'Acme', quoted: 'yes', active: true, parent: null, tags: ['a', 'b'] });
+});
+
+test('parseJSON throws StructuredOutputError with the raw content', () => {
+    assert.throws(() => parseJSON('nothing'), error => error instanceof StructuredOutputError && error.content === 'nothing');
+});
+
+test('validateSchema lists every problem with its path', () => {
+    const schema = {
+        type: 'object',
+        required: ['entities'],
+        properties: { entities: { type: 'array', items: { type: 'object', required: ['text'] } }, kind: { enum: ['a', 'b'] } }
+    };
+    assert.deepEqual(validateSchema({ entities: [{ text: 'x' }], kind: 'a' }, schema), []);
+    assert.equal(validateSchema({ entities: [{}], kind: 'c' }, schema).length, 2);
+    assert.equal(validateSchema({}, schema).length, 1);
+});
+
+test('requestStructured sends invalid replies back for correction', async () => {
+    const replies = ['not json', '{"entities": "x"}', '{"entities": []}'];
+    const provider = new FakeProvider({ response: () => replies.shift() });
+    const schema = { type: 'object', required: ['entities'], properties: { entities: { type: 'array' } } };
+
+    assert.deepEqual(await requestStructured(provider, [{ role: 'user', content: 'go' }], { schema }), { entities: [] });
+    assert.equal(provider.calls.length, 3);
+    assert.equal(provider.calls[2].messages.at(-1).role, 'user');
+});
+
+test('requestStructured gives up after the configured retries', async () => {
+    const provider = new FakeProvider({ response: 'still not json' });
+    await assert.rejects(requestStructured(provider, [], { retries: 1 }), StructuredOutputError);
+    assert.equal(provider.calls.length, 2);
+});
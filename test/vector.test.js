@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import neo4j from 'neo4j-driver';
+import { LLMService } from '../src/llm.js';
+import { FakeProvider } from '../src/providers.js';
+
+const record = values => ({ get: key => values[key] ?? null });
+
+// A vector index whose nearest hits are `others` chunks of another tenant, followed by `ours`
+function createService({ others, ours, maxCandidates = 2000 }) {
+    const llm = new LLMService({ provider: new FakeProvider(), vectorMaxCandidates: maxCandidates });
+    llm.vectorIndex = 'chunk_embeddings';
+    llm.requests = [];
+    llm.runQuery = async (query, params) => {
+        if (!query.includes('db.index.vector.queryNodes')) {
+            llm.requests.push('scan');
+            return { records: [record({ content: 'scanned', documentId: 'doc', chunkIndex: 0, score: 0.4 })] };
+        }
+        const candidates = params.candidates.toNumber();
+        llm.requests.push(candidates);
+        const fetched = Math.min(candidates, others + ours);
+        const matches = Math.max(0, fetched - others);
+        const common = { fetched: neo4j.int(fetched), lowest: 0.5 };
+        if (matches === 0) {
+            return { records: [record(common)] };
+        }
+        return {
+            records: Array.from({ length: Math.min(matches, params.topK.toNumber()) }, (_, i) =>
+                record({ ...common, content: `chunk ${i}`, documentId: 'doc', chunkIndex: i, score: 0.9 - i / 100 }))
+        };
+    };
+    return llm;
+}
+
+test('vector search widens the index fetch until enough chunks survive the filters', async () => {
+    const llm = createService({ others: 300, ours: 10 });
+    const chunks = await llm.searchSimilarVectors([1, 0], ['doc'], { topK: 5 });
+
+    assert.equal(chunks.length, 5);
+    assert.deepEqual(llm.requests, [50, 200, 800]);
+});
+
+test('vector search stops widening once the index has no more hits', async () => {
+    const llm = createService({ others: 30, ours: 2 });
+    const chunks = await llm.searchSimilarVectors([1, 0], ['doc'], { topK: 5 });
+
+    assert.equal(chunks.length, 2);
+    assert.deepEqual(llm.requests, [50]);
+});
+
+test('vector search falls back to a scan past vectorMaxCandidates', async () => {
+    const llm = createService({ others: 5000, ours: 3, maxCandidates: 200 });
+    const chunks = await llm.searchSimilarVectors([1, 0], ['doc'], { topK: 5 });
+
+    assert.deepEqual(chunks.map(chunk => chunk.content), ['scanned']);
+    assert.deepEqual(llm.requests, [50, 200, 'scan']);
+});